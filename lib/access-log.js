@@ -0,0 +1,180 @@
+/**
+ * Access log reading
+ *
+ * Reads Apache and Nginx access logs in the combined format (plain or gzipped) into old URL
+ * entries, so pages that visitors and backlinks still reach are mapped even when no export
+ * lists them. Requests are aggregated per URL with their hits, status codes and top referrers;
+ * bots, assets and other request methods are left out. Of the URLs only found in the logs, those
+ * the old site already redirects or with too few hits are not mapped (see selectLogOnlyEntries()).
+ *
+ *   203.0.113.9 - - [12/Mar/2024:10:15:32 +0000] "GET /product/blue-widget HTTP/1.1" 200 5120 "https://www.google.com/" "Mozilla/5.0 ..."
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const zlib = require('zlib');
+const { splitUrl } = require('./writers/common');
+
+// Combined log format: host ident user [time] "request" status bytes "referrer" "user agent"
+// (the common format, without referrer and user agent, is accepted too)
+const LOG_LINE_PATTERN = /^\S+ \S+ \S+ \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}) \S+(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?/;
+
+// Methods of page views; other requests (form posts, API calls) are not old pages
+const PAGE_METHODS = ['GET', 'HEAD'];
+
+// Statuses meaning the old site already redirects the URL
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Referrers kept per URL, to bound memory on busy sites
+const MAX_REFERRERS = 20;
+
+// Month numbers of the abbreviations in log timestamps
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+// Milliseconds since the epoch of a log timestamp like 12/Mar/2024:10:15:32 +0000, or 0 if unreadable
+function parseLogTime(text) {
+  const match = /^(\d{1,2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?: ([+-])(\d{2})(\d{2}))?/.exec(text);
+  if (!match || MONTHS[match[2].toLowerCase()] === undefined) {
+    return 0;
+  }
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+  const offset = sign ? (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) : 0;
+  return Date.UTC(Number(year), MONTHS[month.toLowerCase()], Number(day), Number(hours), Number(minutes), Number(seconds)) -
+    offset * 60 * 1000;
+}
+
+// Parse one log line: { time, method, target, status, referrer, userAgent }, or null if it is not a request line
+function parseLogLine(line) {
+  const match = LOG_LINE_PATTERN.exec(line);
+  if (!match) {
+    return null;
+  }
+
+  const [, time, request, status, referrer = '-', userAgent = '-'] = match;
+  const [method, target] = request.split(' ');
+  if (!method || !target) {
+    return null;
+  }
+
+  return {
+    time: parseLogTime(time),
+    method: method.toUpperCase(),
+    target,
+    status: Number(status),
+    referrer: referrer === '-' ? '' : referrer.replace(/\\"/g, '"'),
+    userAgent: userAgent === '-' ? '' : userAgent.replace(/\\"/g, '"')
+  };
+}
+
+// Lines of a log file, decompressing it if it is gzipped; a corrupt or truncated file rejects
+async function* readLogLines(file) {
+  // Check the gzip magic number rather than trusting the extension
+  const fd = fs.openSync(file, 'r');
+  const magic = Buffer.alloc(2);
+  fs.readSync(fd, magic, 0, 2, 0);
+  fs.closeSync(fd);
+
+  let input = fs.createReadStream(file);
+  if (magic[0] === 0x1f && magic[1] === 0x8b) {
+    // pipeline() destroys the gunzip stream with the error, which ends the line iterator below
+    input = pipeline(input, zlib.createGunzip(), () => {});
+  }
+  try {
+    yield* readline.createInterface({ input, crlfDelay: Infinity });
+  } catch (error) {
+    throw new Error(`Could not read access log ${file}: ${error.message}`);
+  }
+}
+
+// Read access logs into old URL entries, most visited first
+// options: { key, ignoreUserAgents, ignoreExtensions, ignorePaths } where key() decides which requests are the
+// same URL, and the ignore lists hold case-insensitive user agent parts, file extensions and path prefixes
+// Returns { entries, stats } with an entry { sku, url, hits, statuses, referrers, lastStatus } for every page
+// requested, and stats counting the lines read and why requests were left out
+async function readAccessLogs(files, { key = url => url, ignoreUserAgents = [], ignoreExtensions = [], ignorePaths = [] } = {}) {
+  const agents = ignoreUserAgents.map(agent => agent.toLowerCase());
+  const extensions = ignoreExtensions.map(extension => extension.toLowerCase());
+  const prefixes = ignorePaths.map(prefix => prefix.toLowerCase());
+  const stats = { lines: 0, unparsed: 0, bots: 0, assets: 0, otherMethods: 0, requests: 0, redirected: 0, belowMinHits: 0 };
+  const byKey = new Map();
+
+  for (const file of files) {
+    for await (const line of readLogLines(file)) {
+      if (!line.trim()) continue;
+      stats.lines++;
+
+      const request = parseLogLine(line);
+      if (!request) {
+        stats.unparsed++;
+        continue;
+      }
+      if (!PAGE_METHODS.includes(request.method)) {
+        stats.otherMethods++;
+        continue;
+      }
+      const userAgent = request.userAgent.toLowerCase();
+      if (agents.some(agent => userAgent.includes(agent))) {
+        stats.bots++;
+        continue;
+      }
+      const pathname = splitUrl(request.target).pathname.toLowerCase();
+      if (extensions.some(extension => pathname.endsWith(extension)) || prefixes.some(prefix => pathname.startsWith(prefix))) {
+        stats.assets++;
+        continue;
+      }
+
+      stats.requests++;
+      const requestKey = key(request.target);
+      let page = byKey.get(requestKey);
+      if (!page) {
+        page = { url: request.target, hits: 0, statuses: {}, referrers: new Map(), lastStatus: request.status, lastTime: request.time };
+        byKey.set(requestKey, page);
+      }
+      page.hits++;
+      page.statuses[request.status] = (page.statuses[request.status] || 0) + 1;
+      if (request.referrer && (page.referrers.has(request.referrer) || page.referrers.size < MAX_REFERRERS)) {
+        page.referrers.set(request.referrer, (page.referrers.get(request.referrer) || 0) + 1);
+      }
+      // Logs may be given in any order, so the latest response is found by its time
+      if (request.time >= page.lastTime) {
+        page.lastStatus = request.status;
+        page.lastTime = request.time;
+      }
+    }
+  }
+
+  const entries = [...byKey.values()].map(page => ({
+    sku: '',
+    url: page.url,
+    hits: page.hits,
+    statuses: page.statuses,
+    referrers: [...page.referrers].sort((a, b) => b[1] - a[1]).map(([url, count]) => ({ url, count })),
+    lastStatus: page.lastStatus
+  }));
+  entries.sort((a, b) => b.hits - a.hits);
+
+  return { entries, stats };
+}
+
+// The entries of URLs only found in the logs that are worth mapping: those the old site does not already
+// redirect, with at least minHits; the others are counted in stats.redirected and stats.belowMinHits
+function selectLogOnlyEntries(entries, minHits, stats) {
+  return entries.filter(entry => {
+    if (REDIRECT_STATUSES.includes(entry.lastStatus)) {
+      stats.redirected++;
+      return false;
+    }
+    if (entry.hits < minHits) {
+      stats.belowMinHits++;
+      return false;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  parseLogLine,
+  readAccessLogs,
+  selectLogOnlyEntries
+};
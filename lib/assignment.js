@@ -0,0 +1,77 @@
+/**
+ * Target assignment
+ *
+ * By default every old URL is matched on its own and takes its best-scoring new product,
+ * so many old products can land on the same new URL. The one-to-one pass looks at all name
+ * matches together: pairs are taken best score first, and a row gives up its best target
+ * for an unused one when the unused one scores within `tolerance` of its best. Rows whose
+ * close candidates are all taken keep their best target rather than going unmapped.
+ *
+ * Also reports "fan-in": new URLs that receive many redirects.
+ */
+
+// Choose a candidate for every row, preferring targets no other row uses when scores are close
+// rows: mapping rows; rows with a `candidates` list ({ url, similarity }, best first) take part,
+//       other rows keep their target and reserve it
+// key: maps a URL to the key used to decide whether two URLs are the same page
+// Returns the chosen candidate for each row (null for rows without candidates)
+function assignDistinctTargets(rows, { tolerance, key }) {
+  const used = new Set();
+  const choices = rows.map(() => null);
+  const pairs = [];
+
+  rows.forEach((row, rowIndex) => {
+    if (!row.candidates || row.candidates.length === 0) {
+      used.add(key(row.newURL));
+      return;
+    }
+
+    const best = row.candidates[0].similarity;
+    row.candidates.forEach((candidate, rank) => {
+      if (candidate.similarity >= best - tolerance - 1e-9) {
+        pairs.push({ rowIndex, rank, candidate });
+      }
+    });
+  });
+
+  // Highest scores first; ties go to each row's own ranking, then to the earlier row
+  pairs.sort((a, b) => b.candidate.similarity - a.candidate.similarity || a.rank - b.rank || a.rowIndex - b.rowIndex);
+
+  pairs.forEach(({ rowIndex, candidate }) => {
+    const target = key(candidate.url);
+    if (choices[rowIndex] || used.has(target)) return;
+    choices[rowIndex] = candidate;
+    used.add(target);
+  });
+
+  // Every close candidate was taken: share the best target
+  rows.forEach((row, rowIndex) => {
+    if (!choices[rowIndex] && row.candidates && row.candidates.length > 0) {
+      choices[rowIndex] = row.candidates[0];
+    }
+  });
+
+  return choices;
+}
+
+// New URLs receiving at least `minimum` redirects, most redirected first
+// Returns [{ newURL, rows }]
+function findFanIn(rows, { minimum, key }) {
+  const byTarget = new Map();
+  rows.forEach(row => {
+    const target = key(row.newURL);
+    if (!byTarget.has(target)) {
+      byTarget.set(target, { newURL: row.newURL, rows: [] });
+    }
+    byTarget.get(target).rows.push(row);
+  });
+
+  return [...byTarget.values()]
+    .filter(target => target.rows.length >= minimum)
+    .sort((a, b) => b.rows.length - a.rows.length);
+}
+
+module.exports = {
+  assignDistinctTargets,
+  findFanIn
+};
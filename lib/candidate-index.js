@@ -0,0 +1,115 @@
+/**
+ * Candidate index for name matching
+ *
+ * Finds the new product names that could possibly score above the similarity threshold
+ * against an old product name, so only those have to be scored. Under the similarity model
+ * a name can only beat the threshold if the two names share enough (rarity-weighted) words,
+ * or if one name's words appear in order inside the other's, so the index keeps:
+ *
+ *  - an inverted index from words to names. Only each name's rarest words (its "prefix")
+ *    are indexed: two names whose weighted overlap beats the threshold must share one of
+ *    them, so common words like "tape" rarely have to be looked up,
+ *  - an inverted index from every word to names, to find names containing the old name,
+ *  - the word sequence of every name, to find names contained in the old name.
+ *
+ * Candidates are returned in the same order as the names were added, so ties are broken
+ * exactly as a brute-force scan over every name would break them.
+ */
+
+// Add a value to the list stored under a key in a Map
+function addToList(map, key, value) {
+  const list = map.get(key);
+  if (list) {
+    list.push(value);
+  } else {
+    map.set(key, [value]);
+  }
+}
+
+class CandidateIndex {
+  // names: the product names to index, in the order a brute-force scan would visit them
+  // model: the SimilarityModel (already fitted) whose words and weights are used for scoring
+  // threshold: only names that can score above this are returned
+  constructor(names, { model, threshold = 0 }) {
+    this.model = model;
+    this.threshold = threshold;
+    this.order = new Map();
+    this.byPrefixToken = new Map();
+    this.byToken = new Map();
+    this.bySequence = new Map();
+    this.byLowerName = new Map();
+    this.maxTokens = 0;
+
+    names.forEach((name, position) => {
+      const tokens = model.tokens(name);
+      const distinct = [...new Set(tokens)];
+      this.order.set(name, position);
+      this.maxTokens = Math.max(this.maxTokens, tokens.length);
+
+      this.prefix(distinct).forEach(token => addToList(this.byPrefixToken, token, name));
+      distinct.forEach(token => addToList(this.byToken, token, name));
+      addToList(this.bySequence, tokens.join('-'), name);
+      addToList(this.byLowerName, name.toLowerCase(), name);
+    });
+  }
+
+  // Rarest-first order of words, with ties broken alphabetically so it is the same everywhere
+  compareTokens(a, b) {
+    return this.model.weight(b) - this.model.weight(a) || (a < b ? -1 : a > b ? 1 : 0);
+  }
+
+  // The rarest words of a word set, holding enough weight that any name overlapping the set
+  // above the threshold must share at least one of them
+  prefix(tokens) {
+    const sorted = [...tokens].sort((a, b) => this.compareTokens(a, b));
+    const total = sorted.reduce((sum, token) => sum + this.model.weight(token), 0);
+    const prefix = [];
+    let remaining = total;
+
+    for (const token of sorted) {
+      if (remaining < this.threshold * total - 1e-9) break;
+      prefix.push(token);
+      remaining -= this.model.weight(token);
+    }
+
+    return prefix;
+  }
+
+  // Names that could score above the threshold against the given name, in index order
+  candidates(name) {
+    const tokens = this.model.tokens(name);
+    const distinct = [...new Set(tokens)];
+    const found = new Set();
+    const addAll = list => (list || []).forEach(candidate => found.add(candidate));
+
+    // Names sharing one of the rarest words
+    this.prefix(distinct).forEach(token => addAll(this.byPrefixToken.get(token)));
+
+    // Names with the same spelling (scored 1.0 even when they have no words left)
+    addAll(this.byLowerName.get(name.toLowerCase()));
+
+    if (tokens.length > 0) {
+      // Names whose words appear in order inside this name
+      for (let start = 0; start < tokens.length; start++) {
+        for (let end = start + 1; end <= tokens.length && end - start <= this.maxTokens; end++) {
+          addAll(this.bySequence.get(tokens.slice(start, end).join('-')));
+        }
+      }
+
+      // Names containing this name's words in order all contain its rarest word
+      const sequence = `-${tokens.join('-')}-`;
+      const rarest = [...distinct].sort((a, b) => this.compareTokens(a, b))[0];
+      (this.byToken.get(rarest) || []).forEach(candidate => {
+        if (`-${this.model.tokens(candidate).join('-')}-`.includes(sequence)) {
+          found.add(candidate);
+        }
+      });
+    }
+
+    return [...found].sort((a, b) => this.order.get(a) - this.order.get(b));
+  }
+}
+
+module.exports = {
+  CandidateIndex
+};
@@ -0,0 +1,521 @@
+/**
+ * Command-line interface
+ *
+ * Parses subcommands and flags, loads the project config file and runs the mapper.
+ * Every CONFIG key can be overridden with a kebab-case flag, e.g. --similarity-threshold 0.7.
+ *
+ * Exit codes: 0 on success, 1 when a run fails, 2 for usage or configuration errors.
+ */
+
+const path = require('path');
+const { DEFAULT_CONFIG, ConfigError, resolveConfig } = require('./config');
+const fs = require('fs');
+const { listWriters, readMappingFile, exportRedirects } = require('./writers');
+const { formatCSVRow } = require('./csv');
+
+// Short flags for the most common settings
+const FLAG_ALIASES = {
+  old: 'oldUrlsFile',
+  new: 'newUrlsFile',
+  out: 'outputFile',
+  loops: 'loopsFile',
+  format: 'exportFormats',
+  'base-url': 'verifyBaseUrl',
+  'match-types': 'exportMatchTypes',
+  previous: 'previousMappingFile',
+  logs: 'accessLogFiles'
+};
+
+// Raised for unknown subcommands, unknown flags and malformed flag values
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Convert a camelCase config key to its --kebab-case flag name
+function toFlagName(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Convert a --kebab-case flag name back to its camelCase config key
+function toConfigKey(flag) {
+  return flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// Turn \t, "tab" and "space" into the delimiter characters they stand for
+function unescapeDelimiters(value) {
+  return value
+    .replace(/\\t|\btab\b/g, '\t')
+    .replace(/\bspace\b/g, ' ');
+}
+
+// Convert a raw flag value to the type of the config key it overrides
+function coerceFlagValue(key, raw, current) {
+  const defaultValue = DEFAULT_CONFIG[key];
+  const flag = `--${toFlagName(key)}`;
+
+  if (key === 'hasHeaderRow') {
+    if (raw === 'auto') return 'auto';
+    if (raw === 'true' || raw === true) return true;
+    if (raw === 'false') return false;
+    throw new UsageError(`${flag} expects auto, true or false, got "${raw}"`);
+  }
+
+  if (typeof defaultValue === 'boolean') {
+    if (raw === true || raw === 'true') return true;
+    if (raw === 'false') return false;
+    throw new UsageError(`${flag} expects true or false, got "${raw}"`);
+  }
+
+  if (raw === true) {
+    throw new UsageError(`${flag} requires a value`);
+  }
+
+  if (typeof defaultValue === 'number') {
+    const value = Number(raw);
+    if (raw.trim() === '' || Number.isNaN(value)) {
+      throw new UsageError(`${flag} expects a number, got "${raw}"`);
+    }
+    return value;
+  }
+
+  if (key === 'csvDelimiters') {
+    return Array.from(new Set(unescapeDelimiters(raw).split('')));
+  }
+
+  if (Array.isArray(defaultValue)) {
+    const values = raw.split(',').map(v => v.trim()).filter(v => v);
+    return (current || []).concat(values);
+  }
+
+  if (typeof defaultValue === 'object') {
+    const separator = raw.indexOf('=');
+    if (separator <= 0) {
+      throw new UsageError(`${flag} expects key=value, got "${raw}"`);
+    }
+    return { ...current, [raw.slice(0, separator)]: raw.slice(separator + 1) };
+  }
+
+  return raw;
+}
+
+// Parse argv into a subcommand, positional arguments, config overrides and CLI-only options
+function parseArgs(argv) {
+  const result = {
+    command: null,
+    positionals: [],
+    overrides: {},
+    options: {}
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      result.positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg === '-h' || arg === '--help') {
+      result.options.help = true;
+      continue;
+    }
+
+    if (arg === '-c') {
+      result.options.config = argv[++i];
+      if (!result.options.config) {
+        throw new UsageError('-c requires a file path');
+      }
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      if (result.command === null) {
+        result.command = arg;
+      } else {
+        result.positionals.push(arg);
+      }
+      continue;
+    }
+
+    let name = arg.slice(2);
+    let value;
+    const equals = name.indexOf('=');
+    if (equals >= 0) {
+      value = name.slice(equals + 1);
+      name = name.slice(0, equals);
+    }
+
+    if (name === 'config') {
+      result.options.config = value !== undefined ? value : argv[++i];
+      if (!result.options.config) {
+        throw new UsageError('--config requires a file path');
+      }
+      continue;
+    }
+
+    if (name === 'in') {
+      result.options.in = value !== undefined ? value : argv[++i];
+      if (!result.options.in) {
+        throw new UsageError('--in requires a file path');
+      }
+      continue;
+    }
+
+    if (name === 'version') {
+      result.options.version = true;
+      continue;
+    }
+
+    if (name === 'quiet') {
+      result.overrides.verbose = false;
+      continue;
+    }
+
+    const negated = name.startsWith('no-');
+    const key = FLAG_ALIASES[name] || toConfigKey(negated ? name.slice(3) : name);
+
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG, key)) {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+
+    if (negated) {
+      if (typeof DEFAULT_CONFIG[key] !== 'boolean' && key !== 'hasHeaderRow') {
+        throw new UsageError(`--${name} is only valid for on/off settings`);
+      }
+      result.overrides[key] = false;
+      continue;
+    }
+
+    if (value === undefined) {
+      const next = argv[i + 1];
+      const takesValue = typeof DEFAULT_CONFIG[key] !== 'boolean';
+      if (takesValue) {
+        if (next === undefined || (next.startsWith('--') && next.length > 2)) {
+          throw new UsageError(`--${name} requires a value`);
+        }
+        value = next;
+        i++;
+      } else {
+        value = true;
+      }
+    }
+
+    result.overrides[key] = coerceFlagValue(key, value, result.overrides[key]);
+  }
+
+  return result;
+}
+
+// Build the help text, listing every overridable setting with its default
+function usage() {
+  const settings = Object.entries(DEFAULT_CONFIG)
+    .map(([key, value]) => {
+      const shown = typeof value === 'string' ? value.replace(/\t/g, '\\t') : JSON.stringify(value);
+      return `  --${toFlagName(key)}`.padEnd(34) + ` (default: ${shown})`;
+    })
+    .join('\n');
+
+  return `Usage: url-mapper <command> [options]
+
+Commands:
+  map                             Map old URLs to new URLs (default)
+  export                          Convert an existing mapping CSV into redirect rules
+  verify                          Check a mapping CSV against a running server (exits 1 on failures)
+  review                          Map, then walk through uncertain matches and save decisions
+                                  to the overrides file
+  serve                           Map, then review the mapping in a local web page
+  diff                            Map, then compare with the previous mapping (default: --out)
+                                  and write the changes to --diff-file
+  lint                            Check a mapping CSV against --existing-redirects-file, write
+                                  the conflicts and the merged redirects (exits 1 on conflicts)
+  help                            Show this help
+
+Options:
+  -c, --config <file>             Load settings from a .json or .js config file
+  --old <file>                    Old site URLs (same as --old-urls-file)
+  --new <file>                    New site URLs (same as --new-urls-file)
+  --out <file>                    Output mapping CSV (same as --output-file)
+  --loops <file>                  Skipped loops CSV (same as --loops-file)
+  --format <list>                 Redirect formats to export (same as --export-formats):
+                                  ${listWriters().join(', ')}
+  --match-types <list>            Only export these match types (same as --export-match-types)
+  --base-url <url>                Server to check (verify only; same as --verify-base-url)
+  --in <file>                     Mapping CSV to read (export, verify and lint; default: --out)
+  --previous <file>               Previous mapping to compare with (same as --previous-mapping-file)
+  --logs <list>                   Access logs to read old URLs and hits from (same as --access-log-files)
+  --quiet                         Only print the summary (same as --no-verbose)
+  -h, --help                      Show this help
+  --version                       Print the version
+
+Settings (flags override the config file, which overrides the defaults):
+${settings}
+
+List settings take comma-separated values or may be repeated; object settings
+take key=value pairs, e.g. --category-mappings old-slug=/new-path/.
+`;
+}
+
+// Exit code for a mapping run: 1 if a diff found changed approved redirects and the config says to fail
+function diffExitCode(result, config) {
+  if (result.diff && result.diff.approvedChanges > 0 && config.failOnApprovedChanges) {
+    console.error(`\nError: ${result.diff.approvedChanges} approved redirects changed (see ${path.resolve(config.diffFile)})`);
+    return 1;
+  }
+  return 0;
+}
+
+// Run the "map" subcommand
+async function runMap(config) {
+  const { generateURLMapping } = require('../url-mapper');
+  const result = await generateURLMapping(config);
+  return diffExitCode(result, config);
+}
+
+// Run the "diff" subcommand: map, comparing with the previous mapping (by default the output file being replaced)
+async function runDiff(config) {
+  const { generateURLMapping } = require('../url-mapper');
+
+  const previousMappingFile = config.previousMappingFile || config.outputFile;
+  if (!fs.existsSync(path.resolve(previousMappingFile))) {
+    throw new UsageError(`diff needs a previous mapping to compare with; ${path.resolve(previousMappingFile)} does not exist`);
+  }
+
+  // Without an explicit previous loops file, use the loops file this run is about to replace
+  let previousLoopsFile = config.previousLoopsFile;
+  if (!previousLoopsFile && !config.previousMappingFile && fs.existsSync(path.resolve(config.loopsFile))) {
+    previousLoopsFile = config.loopsFile;
+  }
+
+  const result = await generateURLMapping({ ...config, previousMappingFile, previousLoopsFile });
+  return diffExitCode(result, config);
+}
+
+// Run the "export" subcommand: read a mapping CSV and write the requested redirect formats
+async function runExport(config, parsed) {
+  if (config.exportFormats.length === 0) {
+    throw new UsageError(`export needs at least one --format (${listWriters().join(', ')})`);
+  }
+
+  const mappingFile = path.resolve(parsed.options.in || config.outputFile);
+  const rows = readMappingFile(mappingFile);
+  console.log(`Read ${rows.length} redirects from ${mappingFile}`);
+
+  exportRedirects(rows, config);
+}
+
+// Run the "verify" subcommand: request every old URL and check where it redirects
+async function runVerify(config, parsed) {
+  const { verifyRedirects } = require('./verify');
+
+  if (!config.verifyBaseUrl) {
+    throw new UsageError('verify needs --base-url (e.g. http://localhost:8080)');
+  }
+
+  const mappingFile = path.resolve(parsed.options.in || config.outputFile);
+  const rows = readMappingFile(mappingFile);
+  console.log(`Verifying ${rows.length} redirects from ${mappingFile} against ${config.verifyBaseUrl}`);
+
+  let done = 0;
+  const results = await verifyRedirects(rows, {
+    baseUrl: config.verifyBaseUrl,
+    newSiteBaseUrl: config.newSiteBaseUrl,
+    concurrency: config.verifyConcurrency,
+    timeout: config.verifyTimeout,
+    maxHops: config.verifyMaxHops,
+    onResult: () => {
+      done++;
+      if (config.verbose && (done % 100 === 0 || done === rows.length)) {
+        console.log(`- Checked ${done} of ${rows.length}`);
+      }
+    }
+  });
+
+  let content = 'old_url,expected_url,request_url,status,location,location_ok,hops,final_url,final_status,result,error\n';
+  results.forEach(r => {
+    content += formatCSVRow([
+      r.oldURL, r.expectedURL, r.requestURL, r.status, r.location, r.locationOk ? 'yes' : 'no',
+      r.hops, r.finalURL, r.finalStatus, r.passed ? 'pass' : 'fail', r.error
+    ], { quoteAll: true }) + '\n';
+  });
+
+  const outputFile = path.resolve(config.verifyOutputFile);
+  fs.writeFileSync(outputFile, content);
+
+  const failures = results.filter(r => !r.passed);
+  console.log(`\nPassed: ${results.length - failures.length}, failed: ${failures.length}`);
+  console.log(`- Not a 301/308: ${results.filter(r => !r.error && r.status !== 301 && r.status !== 308).length}`);
+  console.log(`- Wrong Location: ${results.filter(r => !r.error && r.location && !r.locationOk).length}`);
+  console.log(`- Destination not 200: ${results.filter(r => !r.error && r.finalStatus !== 200).length}`);
+  console.log(`- More than one hop: ${results.filter(r => r.hops > 1).length}`);
+  console.log(`- Errors: ${results.filter(r => r.error).length}`);
+
+  if (config.showSamples && failures.length > 0) {
+    console.log('\nSample of failures:');
+    failures.slice(0, config.sampleSize).forEach(r => {
+      console.log(`- ${r.requestURL} → ${r.error || `${r.status} ${r.location || '(no Location)'}, final ${r.finalStatus}`}`);
+      console.log(`  Expected: ${r.expectedURL}`);
+    });
+  }
+
+  console.log(`\nVerification results have been saved as: ${outputFile}`);
+  return failures.length > 0 ? 1 : 0;
+}
+
+// Run the "lint" subcommand: check a mapping CSV against the existing redirects and merge both
+// (exits 1 when a redirect shadows a live page or a source has conflicting targets)
+async function runLint(config, parsed) {
+  const { lintMappingFile } = require('../url-mapper');
+  const { BLOCKING_ISSUES } = require('./redirect-lint');
+
+  if (!config.existingRedirectsFile) {
+    throw new UsageError('lint needs the redirects already live (--existing-redirects-file)');
+  }
+
+  const lint = await lintMappingFile(path.resolve(parsed.options.in || config.outputFile), config);
+  return BLOCKING_ISSUES.some(issue => lint.counts[issue] > 0) ? 1 : 0;
+}
+
+// Run the "review" subcommand: map, then review uncertain matches in the terminal
+async function runReview(config) {
+  const { generateURLMapping } = require('../url-mapper');
+  const { readOverrides } = require('./overrides');
+  const { reviewMatches } = require('./review');
+
+  if (!config.overridesFile) {
+    throw new UsageError('review needs --overrides-file to save decisions to');
+  }
+
+  // Reviewing needs every row in memory
+  const result = await generateURLMapping({ ...config, streaming: false });
+  // With access logs, the most visited pages come first
+  const rows = result.mappings
+    .filter(row => config.reviewMatchTypes.includes(row.matchType))
+    .sort((a, b) => (b.hits || 0) - (a.hits || 0));
+  if (rows.length === 0) {
+    console.log(`\nNothing to review (match types: ${config.reviewMatchTypes.join(', ')})`);
+    return 0;
+  }
+
+  const overridesFile = path.resolve(config.overridesFile);
+  const counts = await reviewMatches(rows, {
+    file: overridesFile,
+    overrides: readOverrides(overridesFile),
+    maxCandidates: Math.max(config.runnersUp + 1, 5)
+  });
+
+  const decided = counts.accept + counts.pick + counts.type + counts.exclude;
+  console.log(`\nAccepted ${counts.accept}, picked ${counts.pick}, typed ${counts.type}, excluded ${counts.exclude}, skipped ${counts.skip}`);
+  if (decided > 0) {
+    console.log(`Decisions have been saved to: ${overridesFile}`);
+    console.log('Run "url-mapper map" again to apply them.');
+  }
+  return 0;
+}
+
+// Run the "serve" subcommand: map, then serve the review web UI until interrupted
+async function runServe(config) {
+  const { createMapper, generateURLMapping } = require('../url-mapper');
+  const { readOverrides } = require('./overrides');
+  const { startReviewServer } = require('./review-server');
+
+  if (!config.overridesFile) {
+    throw new UsageError('serve needs --overrides-file to save decisions to');
+  }
+
+  const result = await generateURLMapping({ ...config, streaming: false });
+  const mapper = createMapper(config);
+  const overridesFile = path.resolve(config.overridesFile);
+  const server = await startReviewServer(result, {
+    host: config.reviewHost,
+    port: config.reviewPort,
+    overridesFile,
+    outputFile: path.resolve(config.outputFile),
+    overrides: readOverrides(overridesFile),
+    key: url => mapper.key(url)
+  });
+
+  console.log(`\nReview the mapping at http://${config.reviewHost}:${server.address().port}/ (press Ctrl+C to stop)`);
+  console.log(`Decisions are saved to ${overridesFile} and ${path.resolve(config.outputFile)}`);
+
+  await new Promise(resolve => {
+    const stop = () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      server.close(resolve);
+      server.closeAllConnections();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+  return 0;
+}
+
+const COMMANDS = {
+  map: runMap,
+  export: runExport,
+  verify: runVerify,
+  review: runReview,
+  serve: runServe,
+  diff: runDiff,
+  lint: runLint
+};
+
+// Entry point: returns the process exit code instead of exiting, so it can be reused
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run "url-mapper --help" for usage.');
+    return 2;
+  }
+
+  if (parsed.options.version) {
+    console.log(require('../package.json').version);
+    return 0;
+  }
+
+  const command = parsed.command || 'map';
+
+  if (parsed.options.help || command === 'help') {
+    console.log(usage());
+    return 0;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Error: Unknown command "${command}"`);
+    console.error('Run "url-mapper --help" for usage.');
+    return 2;
+  }
+
+  if (parsed.positionals.length > 0) {
+    console.error(`Error: Unexpected argument "${parsed.positionals[0]}"`);
+    return 2;
+  }
+
+  try {
+    const config = resolveConfig({ configFile: parsed.options.config, overrides: parsed.overrides });
+    const code = await COMMANDS[command](config, parsed);
+    return typeof code === 'number' ? code : 0;
+  } catch (error) {
+    if (error instanceof ConfigError || error instanceof UsageError) {
+      console.error(`Error: ${error.message}`);
+      return 2;
+    }
+    console.error(`Error: ${error.message}`);
+    if (parsed.overrides.verbose !== false) {
+      console.error(error.stack);
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  UsageError,
+  parseArgs,
+  main
+};
@@ -0,0 +1,470 @@
+/**
+ * Configuration
+ *
+ * Default settings for the URL mapper, plus loading and validation of per-project
+ * config files (JSON or JS) and command-line overrides.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listWriters } = require('./writers');
+const { NORMALIZATION_RULES } = require('./sku');
+const { validateRewriteRules } = require('./rewrite-rules');
+
+// ======================================
+// DEFAULT CONFIGURATION
+// ======================================
+const DEFAULT_CONFIG = {
+  // Input/Output files
+  oldUrlsFile: 'old-urls.csv',
+  newUrlsFile: 'new-urls.csv',
+  outputFile: 'url-mapping.csv',
+  loopsFile: 'skipped-loops.csv',
+  existingRedirectsFile: '', // Optional redirects already live: CSV (old_url,new_url), .htaccess, nginx .conf or _redirects
+  conflictsFile: 'redirect-conflicts.csv',  // Issues found when merging the mapping with the existing redirects
+  mergedRedirectsFile: 'merged-redirects.csv', // The existing redirects and the mapping as one de-duplicated set
+
+  // Access logs read as another source of old URLs (Apache/Nginx combined format, plain or .gz)
+  accessLogFiles: [],
+  // Requests left out: user agents containing these words, files with these extensions and paths with these prefixes
+  accessLogIgnoreUserAgents: ['bot', 'crawler', 'spider', 'slurp', 'curl', 'wget', 'python-requests', 'headless', 'monitor'],
+  accessLogIgnoreExtensions: [
+    '.css', '.js', '.map', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.ico',
+    '.woff', '.woff2', '.ttf', '.eot', '.mp4', '.webm', '.mp3'
+  ],
+  accessLogIgnorePaths: ['/wp-admin/', '/wp-json/', '/wp-content/', '/.well-known/'],
+  accessLogMinHits: 1,              // Fewest hits for a URL only found in the logs to be mapped
+  accessLogReportFile: 'access-log-urls.csv', // URLs found in the logs, with hits, statuses and referrers
+
+  // Saved HTML of the old and new pages (e.g. wget mirrors), read for content matching (content_match)
+  oldSnapshotDir: '',
+  newSnapshotDir: '',
+
+  // Base URL for the new site (used for category, section and homepage targets; relative when empty)
+  newSiteBaseUrl: '',
+
+  // Base URL for the old site (used when exported redirect sources need a host)
+  oldSiteBaseUrl: '',
+
+  // Several old domains or locales mapped at once (see lib/sites.js)
+  hostMappings: {},                 // Old host -> new base URL, e.g. { 'old-shop.fr': 'https://shop.com/fr' }
+  localePrefixes: [],               // Locale path prefixes to match within, e.g. ['en-us', 'fr']
+  detectLocales: false,             // Also treat first path segments like "fr" or "en-us" as locale prefixes
+  localeBaseUrls: {},               // Locale -> new base URL, e.g. { fr: 'https://shop.fr' } (default: keep the prefix)
+
+  // CSV parsing options
+  csvDelimiters: [',', '\t', ';', ' '],
+  hasHeaderRow: 'auto', // 'auto', true, or false
+
+  // Column selection by header name or 1-based position, e.g. { sku: 'Product SKU', url: 'Permalink' }
+  // Empty: use "sku"/"url" headers if present, otherwise the SKU in the first column and the URL in the second;
+  // an optional "category" column (slug, path or URL of the product's category) helps automatic category matching
+  oldColumns: {},
+  newColumns: {},
+
+  // URL normalisation, applied to every URL before matching, loop detection and output
+  queryParams: 'keep',              // 'keep', 'drop' or 'whitelist' query parameters
+  queryParamWhitelist: [],          // Parameters kept when queryParams is 'whitelist'
+  ignoredQueryParams: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'], // Always dropped
+  skuQueryParams: [],               // Parameters holding a SKU or product ID, e.g. ['product_id']
+  decodePercentEncoding: true,      // Decode %XX escapes so encoded and plain URLs compare equal
+  stripIndexPages: false,           // /about/index.html -> /about/
+  stripExtensions: [],              // e.g. ['.html', '.php']: /about.html -> /about
+  wwwHost: 'keep',                  // 'keep', 'strip' or 'add' the www. of absolute URLs
+  urlProtocol: 'keep',              // 'keep', 'https' or 'http' for absolute URLs
+
+  // SKU matching options
+  skuNormalization: ['trim', 'ignore-case', 'strip-whitespace'], // Rules applied before comparing SKUs
+  skuVariantSeparators: ['.'],      // Separators before a variant suffix (AA.21015.1 -> AA.21015); [] disables
+  skuAliasFile: '',                 // Optional CSV of old_sku,new_sku pairs for renumbered products
+  duplicateSkusFile: 'duplicate-skus.csv', // Report of SKUs used by more than one URL
+
+  // Matching options
+  similarityThreshold: 0.5,      // Minimum similarity score to consider a match
+  highConfidenceThreshold: 0.8,  // Threshold for high confidence matches
+  mediumConfidenceThreshold: 0.6, // Threshold for medium confidence matches
+  candidateRetrieval: 'indexed',  // 'indexed' (only score names sharing words) or 'brute-force'
+  stopWords: ['a', 'an', 'and', 'for', 'in', 'of', 'the', 'with', 'x'], // Words ignored when comparing names
+  synonyms: {},                   // Canonical word -> variants treated as the same word, e.g. { gray: ['grey'] }
+  attributeMismatchPenalty: 0.5,  // Score multiplier for each size/colour/quantity that disagrees
+  requireAttributeMatch: false,   // Reject matches whose sizes, colours or quantities disagree
+  assignment: 'independent',      // 'independent' (each old URL takes its best match) or 'one-to-one'
+  assignmentTolerance: 0.05,      // How much score one-to-one assignment gives up to use an unused new URL
+  runnersUp: 2,                   // Next best candidates listed for each name match
+  contentMatchThreshold: 0.6,     // Minimum similarity of saved page names (product name, h1 or title) for a content match
+  fanInThreshold: 5,              // Report new URLs receiving at least this many redirects
+  fanInFile: 'fan-in.csv',        // Where the fan-in report is written
+
+  // Manual overrides (old_url,new_url or "exclude"), applied before matching; written by "review"
+  overridesFile: 'overrides.csv',
+  reviewMatchTypes: ['low_confidence_match', 'medium_confidence_match'], // Matches walked through by "review"
+  reviewHost: '127.0.0.1',          // Address the "serve" review web UI listens on
+  reviewPort: 8377,                 // Port of the "serve" review web UI
+
+  // Pattern rewrite rules tried in order before SKU and name matching (see lib/rewrite-rules.js)
+  rewriteRules: [],
+
+  // URL patterns
+  productUrlPatterns: ['/product/', '/shop/'],
+  categoryUrlPatterns: ['/product-category/', '/category/', '/shop/'],
+
+  // Category mappings (old category slug -> new category path)
+  categoryMappings: {
+    // Example: 'old-category': '/new-category-path/',
+  },
+  autoCategoryMatching: true,      // Match other old categories to the new site's category URLs (category_auto_match)
+  categoryMatchThreshold: 0.5,     // Minimum confidence for an automatic category match
+
+  // Fallback targets for URLs without a match, tried in order (parent, category, section, homepage)
+  fallbackChain: ['parent', 'category', 'section', 'homepage'],
+  sectionLandingPages: {
+    // Example: '/blog/': '/articles/',
+  },
+  unmappedFile: 'unmapped.csv',    // URLs that still have no target, with the reason
+
+  // Comparing a run with a previous mapping (url-mapper diff, or set previousMappingFile on map)
+  previousMappingFile: '',          // Previous url-mapping.csv to compare with
+  previousLoopsFile: '',            // Previous skipped-loops.csv, so only new loops are reported
+  diffFile: 'mapping-diff.csv',     // Added, removed and changed rows
+  approvedMatchTypes: ['manual_override'], // Previous rows treated as signed off
+  failOnApprovedChanges: false,     // Exit with code 1 when a signed-off redirect changed
+
+  // Run report: counts, similarity histogram, unmapped, loop and low-confidence lists, SKU coverage and settings
+  reportFile: 'mapping-report.html', // Self-contained HTML page ('' to skip)
+  summaryFile: 'mapping-summary.json', // The same as JSON, for comparing runs ('' to skip)
+
+  // Redirect rule export (apache, nginx, netlify, vercel, cloudflare, wordpress)
+  exportFormats: [],
+  exportDir: 'redirects',
+  exportMatchTypes: [],            // Only export these match types (empty = all)
+  exportTargetStyle: 'auto',       // 'auto' (as mapped), 'absolute' or 'path'
+  apacheRedirectStyle: 'rewrite', // 'rewrite' (anchored RewriteRule) or 'redirect' (Redirect 301, also matches sub-paths)
+  exportPerHost: false,            // Write each old host's redirects to its own folder in exportDir
+
+  // Checking deployed redirects against a running server (url-mapper verify)
+  verifyBaseUrl: '',                       // Server to test, e.g. http://localhost:8080
+  verifyOutputFile: 'verify-results.csv',
+  verifyConcurrency: 8,                    // Requests in flight at once
+  verifyTimeout: 10000,                    // Per request, in milliseconds
+  verifyMaxHops: 5,                        // Redirects followed before giving up
+
+  // Batch processing to manage memory usage
+  batchSize: 250,
+  streaming: false,               // Read the old URLs CSV batch by batch and write results as they are produced
+  streamingReportRows: 1000,      // When streaming, most unmapped, loop and low-confidence rows listed in the run report
+
+  // Debug options
+  verbose: true,
+  showSamples: true,
+  sampleSize: 5
+};
+
+// Keys whose values are file paths, resolved relative to the config file that sets them
+const PATH_KEYS = [
+  'oldUrlsFile', 'accessLogFiles', 'newUrlsFile', 'outputFile', 'loopsFile', 'existingRedirectsFile', 'exportDir', 'verifyOutputFile',
+  'fanInFile', 'skuAliasFile', 'duplicateSkusFile', 'unmappedFile', 'overridesFile', 'previousMappingFile',
+  'previousLoopsFile', 'diffFile', 'reportFile', 'summaryFile', 'accessLogReportFile',
+  'oldSnapshotDir', 'newSnapshotDir', 'conflictsFile', 'mergedRedirectsFile'
+];
+
+// Smallest allowed value for integer settings
+const INTEGER_MINIMUMS = {
+  verifyConcurrency: 1,
+  verifyTimeout: 1,
+  verifyMaxHops: 1,
+  batchSize: 1,
+  reviewPort: 1,
+  runnersUp: 0,
+  accessLogMinHits: 1,
+  fanInThreshold: 2,
+  streamingReportRows: 0,
+  sampleSize: 0
+};
+
+// Steps allowed in fallbackChain
+const FALLBACK_STEPS = ['parent', 'category', 'section', 'homepage'];
+
+// Allowed values for string settings that act as a choice
+const CHOICES = {
+  candidateRetrieval: ['indexed', 'brute-force'],
+  assignment: ['independent', 'one-to-one'],
+  queryParams: ['keep', 'drop', 'whitelist'],
+  wwwHost: ['keep', 'strip', 'add'],
+  urlProtocol: ['keep', 'https', 'http'],
+  exportTargetStyle: ['auto', 'absolute', 'path'],
+  apacheRedirectStyle: ['redirect', 'rewrite']
+};
+
+// Raised for invalid config files, unknown keys and out-of-range values
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Edit distance between two strings, used to suggest the intended key for typos
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+// Find the closest known config key to an unknown one, if any is close enough
+function suggestKey(key) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of Object.keys(DEFAULT_CONFIG)) {
+    const distance = levenshtein(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+// Describe the type of a value for error messages
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Validate a (partial) configuration object, throwing a ConfigError listing every problem
+function validateConfig(config, source = 'config') {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`${source}: expected an object of settings, got ${describeType(config)}`);
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG, key)) {
+      const suggestion = suggestKey(key);
+      errors.push(`unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      continue;
+    }
+
+    const expected = describeType(DEFAULT_CONFIG[key]);
+    const actual = describeType(value);
+
+    if (key === 'hasHeaderRow') {
+      if (value !== 'auto' && value !== true && value !== false) {
+        errors.push(`"hasHeaderRow" must be 'auto', true or false, got ${JSON.stringify(value)}`);
+      }
+    } else if (expected !== actual) {
+      errors.push(`"${key}" must be of type ${expected}, got ${actual}`);
+    }
+  }
+
+  for (const key of [
+    'similarityThreshold', 'mediumConfidenceThreshold', 'highConfidenceThreshold', 'attributeMismatchPenalty', 'assignmentTolerance',
+    'categoryMatchThreshold', 'contentMatchThreshold'
+  ]) {
+    const value = config[key];
+    if (typeof value === 'number' && (!Number.isFinite(value) || value < 0 || value > 1)) {
+      errors.push(`"${key}" must be between 0 and 1, got ${value}`);
+    }
+  }
+
+  for (const [key, minimum] of Object.entries(INTEGER_MINIMUMS)) {
+    const value = config[key];
+    if (typeof value === 'number' && (!Number.isInteger(value) || value < minimum)) {
+      errors.push(`"${key}" must be an integer of at least ${minimum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(config.csvDelimiters) && config.csvDelimiters.some(d => typeof d !== 'string' || d.length !== 1)) {
+    errors.push('"csvDelimiters" must contain single characters');
+  }
+
+  for (const [key, allowed] of Object.entries(CHOICES)) {
+    if (typeof config[key] === 'string' && !allowed.includes(config[key])) {
+      errors.push(`"${key}" must be one of ${allowed.join(', ')}, got "${config[key]}"`);
+    }
+  }
+
+  if (Array.isArray(config.exportFormats)) {
+    const unknown = config.exportFormats.filter(format => !listWriters().includes(format));
+    if (unknown.length > 0) {
+      errors.push(`unknown export format(s) ${unknown.join(', ')} (available: ${listWriters().join(', ')})`);
+    }
+  }
+
+  if (Array.isArray(config.skuNormalization)) {
+    const unknown = config.skuNormalization.filter(rule => !Object.prototype.hasOwnProperty.call(NORMALIZATION_RULES, rule));
+    if (unknown.length > 0) {
+      errors.push(`unknown SKU normalisation rule(s) ${unknown.join(', ')} (available: ${Object.keys(NORMALIZATION_RULES).join(', ')})`);
+    }
+  }
+
+  for (const key of [
+    'productUrlPatterns', 'categoryUrlPatterns', 'stopWords', 'skuVariantSeparators', 'queryParamWhitelist',
+    'ignoredQueryParams', 'skuQueryParams', 'stripExtensions', 'localePrefixes', 'accessLogFiles',
+    'accessLogIgnoreUserAgents', 'accessLogIgnoreExtensions', 'accessLogIgnorePaths'
+  ]) {
+    if (Array.isArray(config[key]) && config[key].some(p => typeof p !== 'string' || !p)) {
+      errors.push(`"${key}" must contain non-empty strings`);
+    }
+  }
+
+  for (const key of ['oldColumns', 'newColumns']) {
+    if (config[key] && typeof config[key] === 'object') {
+      for (const [column, spec] of Object.entries(config[key])) {
+        if (!['sku', 'url', 'category'].includes(column)) {
+          errors.push(`"${key}" only selects "sku", "url" and "category" columns, got "${column}"`);
+        } else if (typeof spec !== 'string' && !(Number.isInteger(spec) && spec > 0)) {
+          errors.push(`"${key}.${column}" must be a header name or a 1-based column number`);
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(config.stripExtensions) && config.stripExtensions.some(ext => typeof ext === 'string' && !/^\.[^./]+$/.test(ext))) {
+    errors.push('"stripExtensions" must contain extensions like ".html"');
+  }
+
+  if (Array.isArray(config.localePrefixes) && config.localePrefixes.some(locale => typeof locale === 'string' && locale.includes('/'))) {
+    errors.push('"localePrefixes" must contain path segments like "en-us", without slashes');
+  }
+
+  for (const key of ['hostMappings', 'localeBaseUrls']) {
+    if (config[key] && typeof config[key] === 'object') {
+      for (const [from, base] of Object.entries(config[key])) {
+        if (typeof base !== 'string' || !/^https?:\/\/[^/]/i.test(base)) {
+          errors.push(`"${key}.${from}" must be an absolute base URL like https://shop.com, got ${JSON.stringify(base)}`);
+        }
+        if (key === 'hostMappings' && /[/:]/.test(from)) {
+          errors.push(`"hostMappings" keys must be host names like old-shop.com, got "${from}"`);
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(config.rewriteRules)) {
+    errors.push(...validateRewriteRules(config.rewriteRules));
+  }
+
+  if (config.synonyms && typeof config.synonyms === 'object') {
+    for (const [word, variants] of Object.entries(config.synonyms)) {
+      if (typeof variants !== 'string' && !(Array.isArray(variants) && variants.every(v => typeof v === 'string'))) {
+        errors.push(`"synonyms.${word}" must be a list of words, got ${describeType(variants)}`);
+      }
+    }
+  }
+
+  for (const key of ['categoryMappings', 'sectionLandingPages']) {
+    if (config[key] && typeof config[key] === 'object') {
+      for (const [slug, target] of Object.entries(config[key])) {
+        if (typeof target !== 'string') {
+          errors.push(`"${key}.${slug}" must be a path string, got ${describeType(target)}`);
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(config.fallbackChain)) {
+    const unknown = config.fallbackChain.filter(step => !FALLBACK_STEPS.includes(step));
+    if (unknown.length > 0) {
+      errors.push(`unknown fallback step(s) ${unknown.join(', ')} (available: ${FALLBACK_STEPS.join(', ')})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+// Check threshold ordering on a fully merged configuration
+function validateThresholds(config) {
+  const { similarityThreshold, mediumConfidenceThreshold, highConfidenceThreshold } = config;
+
+  if (!(similarityThreshold <= mediumConfidenceThreshold && mediumConfidenceThreshold <= highConfidenceThreshold)) {
+    throw new ConfigError(
+      'Invalid thresholds: expected similarityThreshold <= mediumConfidenceThreshold <= highConfidenceThreshold, ' +
+      `got ${similarityThreshold}, ${mediumConfidenceThreshold}, ${highConfidenceThreshold}`
+    );
+  }
+}
+
+// Load a JSON or JS config file, resolving its file paths relative to the file itself
+function loadConfigFile(file) {
+  const configPath = path.resolve(file);
+
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError(`Config file not found: ${configPath}`);
+  }
+
+  let config;
+  const ext = path.extname(configPath).toLowerCase();
+
+  if (ext === '.json') {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (e) {
+      throw new ConfigError(`Could not parse config file ${configPath}: ${e.message}`);
+    }
+  } else if (ext === '.js' || ext === '.cjs') {
+    try {
+      config = require(configPath);
+    } catch (e) {
+      throw new ConfigError(`Could not load config file ${configPath}: ${e.message}`);
+    }
+  } else {
+    throw new ConfigError(`Unsupported config file type "${ext}" (use .json or .js): ${configPath}`);
+  }
+
+  validateConfig(config, `config file ${configPath}`);
+
+  const configDir = path.dirname(configPath);
+  const resolved = { ...config };
+  PATH_KEYS.forEach(key => {
+    if (Array.isArray(resolved[key])) {
+      resolved[key] = resolved[key].map(file => path.resolve(configDir, file));
+    } else if (resolved[key]) {
+      resolved[key] = path.resolve(configDir, resolved[key]);
+    }
+  });
+
+  return resolved;
+}
+
+// Merge defaults, an optional config file and command-line overrides into a full configuration
+function resolveConfig({ configFile, overrides = {} } = {}) {
+  const fromFile = configFile ? loadConfigFile(configFile) : {};
+  validateConfig(overrides, 'command-line options');
+
+  const config = { ...DEFAULT_CONFIG, ...fromFile, ...overrides };
+  validateThresholds(config);
+
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  PATH_KEYS,
+  ConfigError,
+  validateConfig,
+  validateThresholds,
+  loadConfigFile,
+  resolveConfig
+};
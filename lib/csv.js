@@ -0,0 +1,255 @@
+/**
+ * CSV reading and writing (RFC 4180)
+ *
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF line endings and a
+ * leading byte order mark; a space delimiter splits each line at its first space only. The
+ * parser is incremental so input can be fed in chunks, and readCSVFile() / CSVFileWriter
+ * stream files row by row for inputs too large to hold in memory.
+ */
+
+const fs = require('fs');
+
+// Incremental CSV parser: push() text chunks and collect the completed rows
+class CSVParser {
+  constructor({ delimiter = ',' } = {}) {
+    this.delimiter = delimiter;
+    this.field = '';
+    this.row = [];
+    this.inQuotes = false;
+    this.quotePending = false; // Saw a quote inside a quoted field; next char decides
+    this.fieldQuoted = false;
+    this.started = false;
+    this.skipLineFeed = false;
+  }
+
+  // Finish the current field
+  endField() {
+    this.row.push(this.field);
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+
+  // Finish the current row and hand it to the caller, ignoring blank lines
+  endRow(rows) {
+    this.endField();
+    if (this.row.length > 1 || this.row[0] !== '') {
+      rows.push(this.row);
+    }
+    this.row = [];
+  }
+
+  // Parse a chunk of text, returning the rows it completed
+  push(chunk) {
+    const rows = [];
+    let text = chunk;
+
+    if (!this.started) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xfeff) {
+        text = text.slice(1);
+      }
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (ch === '\n') continue;
+      }
+
+      if (this.quotePending) {
+        this.quotePending = false;
+        if (ch === '"') {
+          this.field += '"';
+          continue;
+        }
+        this.inQuotes = false;
+      }
+
+      if (this.inQuotes) {
+        if (ch === '"') {
+          this.quotePending = true;
+        } else {
+          this.field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"' && this.field.trim() === '' && !this.fieldQuoted) {
+        // Opening quote (whitespace before it is dropped)
+        this.field = '';
+        this.inQuotes = true;
+        this.fieldQuoted = true;
+      } else if (ch === ' ' && this.delimiter === ' ') {
+        // A space delimiter only splits at the first space ("SKU URL" lists); the rest of the line is
+        // the second field. Spaces before either field are dropped
+        if (this.row.length === 0 && (this.field !== '' || this.fieldQuoted)) {
+          this.endField();
+        } else if (this.field !== '' && !this.fieldQuoted) {
+          this.field += ch;
+        }
+      } else if (ch === this.delimiter) {
+        this.endField();
+      } else if (ch === '\r' || ch === '\n') {
+        this.endRow(rows);
+        this.skipLineFeed = ch === '\r';
+      } else if (this.fieldQuoted && /\s/.test(ch)) {
+        // Whitespace after a closing quote is ignored
+      } else {
+        this.field += ch;
+      }
+    }
+
+    return rows;
+  }
+
+  // Flush the final row once all input has been pushed
+  end() {
+    const rows = [];
+    if (this.quotePending) {
+      this.quotePending = false;
+      this.inQuotes = false;
+    }
+    if (this.field !== '' || this.row.length > 0 || this.fieldQuoted) {
+      this.endRow(rows);
+    }
+    return rows;
+  }
+}
+
+// Count occurrences of a character outside quoted sections of a line
+function countOutsideQuotes(line, ch) {
+  let count = 0;
+  let inQuotes = false;
+  for (const c of line) {
+    if (c === '"') {
+      inQuotes = !inQuotes;
+    } else if (c === ch && !inQuotes) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Pick the first candidate delimiter that appears (outside quotes) in the first non-empty line
+function detectDelimiter(text, candidates = [',', '\t', ';', ' ']) {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/).find(line => line.trim() !== '') || '';
+  const trimmed = firstLine.trim();
+  return candidates.find(candidate => countOutsideQuotes(trimmed, candidate) > 0) || candidates[0] || ',';
+}
+
+// Parse a whole CSV string into an array of rows (arrays of strings)
+function parseCSV(text, { delimiter } = {}) {
+  const parser = new CSVParser({ delimiter: delimiter || detectDelimiter(text) });
+  return parser.push(text).concat(parser.end());
+}
+
+// Read a CSV file row by row without loading it whole
+// options: { delimiter, candidates, onProgress } where onProgress(bytesRead, totalBytes) is called per chunk;
+// without a delimiter, the first candidate found in the first line is used
+async function* readCSVFile(file, { delimiter, candidates, onProgress } = {}) {
+  const totalBytes = fs.statSync(file).size;
+  const stream = fs.createReadStream(file, { encoding: 'utf8', highWaterMark: 256 * 1024 });
+  let parser = null;
+  let bytesRead = 0;
+
+  for await (const chunk of stream) {
+    if (!parser) {
+      parser = new CSVParser({ delimiter: delimiter || detectDelimiter(chunk, candidates) });
+    }
+    bytesRead += Buffer.byteLength(chunk);
+    if (onProgress) {
+      onProgress(bytesRead, totalBytes);
+    }
+    yield* parser.push(chunk);
+  }
+
+  if (parser) {
+    yield* parser.end();
+  }
+}
+
+// Write a CSV file row by row. With lazy, the file (and header) is only created once a row is
+// written, so reports without rows leave no file behind.
+class CSVFileWriter {
+  constructor(file, header, { lazy = false } = {}) {
+    this.file = file;
+    this.header = header;
+    this.count = 0;
+    this.buffer = [];
+    this.fd = null;
+    if (!lazy) {
+      this.open();
+    }
+  }
+
+  // Create the file and write the header
+  open() {
+    this.fd = fs.openSync(this.file, 'w');
+    this.buffer.push(this.header.join(','));
+  }
+
+  // Add one row of fields
+  write(fields) {
+    if (this.fd === null) {
+      this.open();
+    }
+    this.buffer.push(formatCSVRow(fields, { quoteAll: true }));
+    this.count++;
+    if (this.buffer.length >= 1000) {
+      this.flush();
+    }
+  }
+
+  // Write buffered rows to disk
+  flush() {
+    if (this.fd !== null && this.buffer.length > 0) {
+      fs.writeSync(this.fd, `${this.buffer.join('\n')}\n`);
+      this.buffer = [];
+    }
+  }
+
+  // Flush and close the file, returning the number of rows written
+  close() {
+    this.flush();
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    return this.count;
+  }
+}
+
+// Format a single field, quoting it when required (or always, with quoteAll)
+function formatCSVField(value, { delimiter = ',', quoteAll = false } = {}) {
+  const text = value === undefined || value === null ? '' : String(value);
+  const needsQuotes = quoteAll ||
+    text.includes(delimiter) ||
+    /["\r\n]/.test(text) ||
+    text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format one row of fields as a CSV line (without the line ending)
+function formatCSVRow(fields, options = {}) {
+  return fields.map(field => formatCSVField(field, options)).join(options.delimiter || ',');
+}
+
+// Format a header and rows as CSV text
+function stringifyCSV(header, rows, options = {}) {
+  const lines = [header.join(options.delimiter || ',')];
+  rows.forEach(row => lines.push(formatCSVRow(row, options)));
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  CSVParser,
+  CSVFileWriter,
+  detectDelimiter,
+  parseCSV,
+  readCSVFile,
+  formatCSVField,
+  formatCSVRow,
+  stringifyCSV
+};
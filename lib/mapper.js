@@ -0,0 +1,1184 @@
+/**
+ * Mapping engine
+ *
+ * Matches old site entries ({ sku, url }) to new site entries without touching the filesystem:
+ * manual overrides, pattern rules, SKUs, category mappings and product names are tried in that
+ * order. Entries may carry the content of their saved page ({ sku, url, content }, see
+ * lib/page-content.js); its product identifiers and canonical link are then tried after SKUs,
+ * and its page name competes with the URL slug in name matching (content_match). Old categories
+ * without a mapping are matched to the new site's category URLs once their products are mapped,
+ * loops and chains are resolved across the whole mapping, and unmatched URLs fall back to the
+ * configured targets. With several old hosts or locales, SKUs and names are matched within the
+ * new site and locale each old URL belongs to (see lib/sites.js). url-mapper.js reads the input
+ * files, reports and writes the output on top of this.
+ *
+ *   const { createMapper } = require('url-mapper');
+ *   const result = createMapper({ newSiteBaseUrl: 'https://shop.example' }).map(oldEntries, newEntries);
+ *   // result: { mappings, unmapped, categories, loops, redirects, fanIn, duplicateSkus, stats }
+ */
+
+const { performance } = require('perf_hooks');
+const { DEFAULT_CONFIG, validateConfig, validateThresholds } = require('./config');
+const { resolveRedirectChains } = require('./redirect-graph');
+const { CandidateIndex } = require('./candidate-index');
+const { SimilarityModel, extractAttributes, formatBreakdown } = require('./similarity');
+const { assignDistinctTargets, findFanIn } = require('./assignment');
+const { SkuIndex, findDuplicateSkus } = require('./sku');
+const { compileRewriteRules, applyRule } = require('./rewrite-rules');
+const { UrlNormalizer } = require('./url-normalizer');
+const { SiteResolver } = require('./sites');
+const { splitUrl } = require('./writers/common');
+const { pageName, slugify, normalizeGtin } = require('./page-content');
+
+// How much matching meta descriptions add to a content match: name + (1 - name) * weight * description score
+const DESCRIPTION_WEIGHT = 0.25;
+
+// Most scored candidates kept per name match, for the assignment pass and runners-up
+const MAX_CANDIDATES = 10;
+
+// Clean product name by removing specifications and common suffixes
+function cleanProductName(name) {
+  if (!name) return '';
+
+  let cleaned = name.replace(/-[0-9]$/, '');
+  cleaned = cleaned.replace(/-\d+x\d+x\d+/, '');
+  cleaned = cleaned.replace(/-\d+x\d+/, '');
+  cleaned = cleaned.replace(/-\d+-?mil/, '');
+  cleaned = cleaned.replace(/-\d+-?inch/, '');
+  cleaned = cleaned.replace(/-\d+-?oz/, '');
+  cleaned = cleaned.replace(/-\d+-?lb/, '');
+  cleaned = cleaned.replace(/-\d+-?gal/, '');
+  cleaned = cleaned.replace(/-+$/, '');
+
+  return cleaned;
+}
+
+// Fallback targets for a URL without a match, tried in the order of the fallbackChain setting
+const FALLBACKS = {
+  // The nearest parent path of the old URL that exists on the new site
+  parent: (mapper, url, newUrlsByKey) => {
+    const segments = splitUrl(url).pathname.split('/').filter(s => s);
+    for (let length = segments.length - 1; length > 0; length--) {
+      const existing = newUrlsByKey.get(mapper.key(`/${segments.slice(0, length).join('/')}`));
+      if (existing) return existing.url;
+    }
+    return null;
+  },
+
+  // The new category of a categoryMappings slug anywhere in the old path
+  category: (mapper, url) => mapper.findMappedCategory(url),
+
+  // The landing page configured for the section (path prefix) the old URL is in, within its locale
+  section: (mapper, url) => {
+    const pathname = mapper.sites.stripLocale(splitUrl(url).pathname);
+    const { sectionLandingPages } = mapper.config;
+    const prefix = Object.keys(sectionLandingPages)
+      .filter(section => pathname.toLowerCase().startsWith(section.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? `${mapper.sites.baseUrlFor(url)}${sectionLandingPages[prefix]}` : null;
+  },
+
+  homepage: (mapper, url) => `${mapper.sites.baseUrlFor(url)}/`
+};
+
+class Mapper {
+  // config: a full configuration (see lib/config.js); log: called with progress messages
+  constructor(config, { log = () => {} } = {}) {
+    this.config = config;
+    this.log = log;
+    this.normalizer = new UrlNormalizer(config);
+    this.sites = new SiteResolver(config);
+  }
+
+  // Extract product name from URL
+  extractProductName(url) {
+    return cleanProductName(this.extractProductSlug(url));
+  }
+
+  // Extract the raw product slug (including sizes and colours) from a URL
+  extractProductSlug(url) {
+    try {
+      const parsed = this.normalizer.parse(url);
+      if (!parsed) {
+        throw new Error('unparseable URL');
+      }
+      const path = parsed.pathname;
+
+      const segments = path.split('/').filter(s => s);
+      let productName = segments[segments.length - 1];
+
+      // Check for product URL patterns
+      for (const pattern of this.config.productUrlPatterns) {
+        if (path.includes(pattern)) {
+          const patternIndex = segments.indexOf(pattern.replace(/\//g, ''));
+          if (patternIndex >= 0 && patternIndex < segments.length - 1) {
+            productName = segments[patternIndex + 1];
+          } else {
+            // Use last segment as fallback
+            productName = segments[segments.length - 1];
+          }
+          break;
+        }
+      }
+
+      if (productName && this.config.decodePercentEncoding) {
+        try {
+          productName = decodeURIComponent(productName);
+        } catch (e) {
+          // Keep malformed escapes as they are
+        }
+      }
+
+      return productName || '';
+    } catch (e) {
+      this.log(`Could not extract a product name from URL: ${url}`);
+      return '';
+    }
+  }
+
+  // The name and size/colour/quantity attributes of a product URL, as scored by the similarity model
+  describeProduct(url) {
+    return { name: this.extractProductName(url), attributes: extractAttributes(this.extractProductSlug(url)) };
+  }
+
+  // Key used to match redirect sources and targets across the whole mapping: the lowercase path
+  // without trailing slashes, plus the query parameters kept by the normalisation settings; with
+  // hostMappings, URLs on hosts other than the main site are prefixed with their host
+  key(url) {
+    try {
+      return `${this.sites.hostKey(url)}${this.normalizer.key(url)}`;
+    } catch (e) {
+      return url.toLowerCase();
+    }
+  }
+
+  // Check if two URLs are effectively the same (to prevent redirect loops)
+  isSamePage(oldUrl, newUrl) {
+    const oldPath = this.key(oldUrl);
+    const newPath = this.key(newUrl);
+
+    // Check if paths are identical, or one is just the other with a trailing slash
+    return oldPath === newPath || oldPath + '/' === newPath || oldPath === newPath + '/';
+  }
+
+  // Normalise input URLs, taking SKUs from query parameters where the row has none
+  // and dropping URLs that normalise to one already listed (seen holds the keys listed so far)
+  normalizeEntries(entries, label, seen = new Set()) {
+    const normalized = [];
+
+    entries.forEach(entry => {
+      const url = this.normalizer.normalize(entry.url);
+      const key = this.key(url);
+      if (seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      normalized.push({ ...entry, url, sku: entry.sku || this.normalizer.querySku(entry.url) });
+    });
+
+    if (normalized.length < entries.length) {
+      this.log(`Dropped ${entries.length - normalized.length} ${label} URLs that are duplicates after normalisation`);
+    }
+    return normalized;
+  }
+
+  // Match type for a name match with the given similarity
+  matchTypeFor(similarity) {
+    if (similarity === 1.0) return 'exact_match';
+    if (similarity >= this.config.highConfidenceThreshold) return 'high_confidence_match';
+    if (similarity >= this.config.mediumConfidenceThreshold) return 'medium_confidence_match';
+    return 'low_confidence_match';
+  }
+
+  // Point a name match at another of its candidates
+  retarget(row, candidate) {
+    return {
+      ...row,
+      newURL: candidate.url,
+      newName: candidate.name,
+      matchType: this.matchTypeFor(candidate.similarity),
+      similarity: candidate.similarity.toFixed(2),
+      breakdown: candidate.breakdown
+    };
+  }
+
+  // Try the pattern rules in order, returning { rule, newURL } for the first one that applies
+  // patternRules: { rules, stats } where stats counts rewrites per rule name
+  // newUrlsByKey: every new site URL by key()
+  applyPatternRules(url, patternRules, newUrlsByKey) {
+    const { pathname } = splitUrl(url);
+
+    for (const rule of patternRules.rules) {
+      const target = applyRule(rule, pathname);
+      if (target === null) continue;
+
+      const stats = patternRules.stats[rule.name];
+      const existing = newUrlsByKey.get(this.key(target));
+      if (existing) {
+        stats.applied++;
+        return { rule, newURL: existing.url };
+      }
+
+      // The rewritten URL is not on the new site: try the next rule unless the rule says not to check
+      stats.missingTarget++;
+      if (!rule.requireTarget) {
+        stats.applied++;
+        return { rule, newURL: /^https?:\/\//i.test(target) ? target : `${this.sites.hostBaseUrl(url)}${target}` };
+      }
+    }
+
+    return null;
+  }
+
+  // The mapped new category for a URL containing a categoryMappings slug, or null
+  findMappedCategory(url) {
+    const { categoryMappings } = this.config;
+    const { pathname } = splitUrl(url);
+    const segments = pathname.split('/').filter(s => s);
+    const categorySlug = segments.find(segment => Object.prototype.hasOwnProperty.call(categoryMappings, segment));
+    return categorySlug ? `${this.sites.baseUrlFor(url)}${categoryMappings[categorySlug]}` : null;
+  }
+
+  // True for URLs matching categoryUrlPatterns but not productUrlPatterns
+  isCategoryUrl(url) {
+    const { productUrlPatterns, categoryUrlPatterns } = this.config;
+    return !productUrlPatterns.some(pattern => url.includes(pattern)) && categoryUrlPatterns.some(pattern => url.includes(pattern));
+  }
+
+  // The slug of a category page: the last segment of its path, lowercased
+  categorySlug(url) {
+    const segments = splitUrl(url).pathname.split('/').filter(s => s);
+    let slug = segments[segments.length - 1] || '';
+    if (this.config.decodePercentEncoding) {
+      try {
+        slug = decodeURIComponent(slug);
+      } catch (e) {
+        // Keep malformed escapes as they are
+      }
+    }
+    return slug.toLowerCase();
+  }
+
+  // The category slug of a product entry: from its category column (a slug, path or URL), else the
+  // slug of its parent path when that is a category page (/product-category/tools/hammer -> tools)
+  entryCategorySlug(entry) {
+    if (entry.category) {
+      return this.categorySlug(entry.category.trim().replace(/\s+/g, '-'));
+    }
+    const { pathname } = splitUrl(entry.url);
+    const parent = pathname.replace(/\/+$/, '').replace(/\/[^/]*$/, '/');
+    return parent !== '/' && this.isCategoryUrl(parent) ? this.categorySlug(parent) : '';
+  }
+
+  // Confidence level of a category match, on the same thresholds as name matches
+  confidenceLevel(confidence) {
+    if (confidence >= this.config.highConfidenceThreshold) return 'high';
+    if (confidence >= this.config.mediumConfidenceThreshold) return 'medium';
+    return 'low';
+  }
+
+  // Find a fallback target for an unmatched URL: { matchType, newURL } or null
+  findFallback(url, newUrlsByKey) {
+    for (const step of this.config.fallbackChain) {
+      const target = FALLBACKS[step](this, url, newUrlsByKey);
+      if (target && !this.isSamePage(url, target)) {
+        return { matchType: `fallback_${step}`, newURL: target };
+      }
+    }
+    return null;
+  }
+
+  // Build the SKU, name, candidate, category and content indexes for one group of new site entries
+  // Returns { entries, newProductIndex, skuIndex, candidateIndex, similarityModel, categories, categoryModel, categoryByKey, contentIndex }
+  // where categories are the new category pages ({ url, slug }), categoryByKey gives the category of each new product
+  // and contentIndex is a buildContentIndex() result
+  buildMatcher(entries, skuAliases) {
+    const { config } = this;
+
+    // Create SKU index for direct matching
+    const skuIndex = new SkuIndex(entries, {
+      rules: config.skuNormalization,
+      variantSeparators: config.skuVariantSeparators,
+      aliases: skuAliases
+    });
+
+    // Create product name index for fallback matching
+    const newProductIndex = {};
+    entries.forEach(entry => {
+      const productName = this.extractProductName(entry.url);
+      if (productName) {
+        if (!newProductIndex[productName]) {
+          newProductIndex[productName] = [];
+        }
+        newProductIndex[productName].push({ ...entry, description: this.describeProduct(entry.url) });
+      }
+    });
+
+    // Learn word rarity from the new site's names, then build the candidate index used to narrow name matching
+    const similarityModel = new SimilarityModel({
+      stopWords: config.stopWords,
+      synonyms: config.synonyms,
+      attributeMismatchPenalty: config.attributeMismatchPenalty,
+      requireAttributeMatch: config.requireAttributeMatch
+    }).fit(Object.keys(newProductIndex));
+    const candidateIndex = new CandidateIndex(Object.keys(newProductIndex), { model: similarityModel, threshold: config.similarityThreshold });
+
+    // New category pages and the products in each, for automatic category matching
+    const categories = config.autoCategoryMatching
+      ? entries.filter(entry => this.isCategoryUrl(entry.url)).map(entry => ({ url: entry.url, slug: this.categorySlug(entry.url) })).filter(category => category.slug)
+      : [];
+    const categoryModel = new SimilarityModel({ stopWords: config.stopWords, synonyms: config.synonyms }).fit(categories.map(category => category.slug));
+    const categoryByKey = new Map();
+    if (categories.length > 0) {
+      const categoriesBySlug = new Map();
+      categories.forEach(category => {
+        if (!categoriesBySlug.has(category.slug)) {
+          categoriesBySlug.set(category.slug, category);
+        }
+      });
+      entries.forEach(entry => {
+        const category = categoriesBySlug.get(this.entryCategorySlug(entry));
+        if (category) {
+          categoryByKey.set(this.key(entry.url), category);
+        }
+      });
+    }
+
+    const contentIndex = this.buildContentIndex(entries, skuIndex.normalize);
+
+    return { entries, newProductIndex, skuIndex, candidateIndex, similarityModel, categories, categoryModel, categoryByKey, contentIndex };
+  }
+
+  // Build the lookups for content matching from the new entries that carry page content, or null when none do
+  // Returns { byIdentifier, byCanonical, byName, model, candidateIndex } where byIdentifier finds a new entry by
+  // "gtin <digits>" or "sku <normalised SKU>" from its schema.org data, byCanonical by the key() of its canonical
+  // link, and byName lists the pages with each page name
+  buildContentIndex(entries, normalizeSku) {
+    const { config } = this;
+    const withContent = entries.filter(entry => entry.content);
+    if (withContent.length === 0) {
+      return null;
+    }
+
+    const byIdentifier = new Map();
+    const byCanonical = new Map();
+    const byName = new Map();
+    const addOnce = (map, key, entry) => {
+      if (key && !map.has(key)) {
+        map.set(key, entry);
+      }
+    };
+
+    withContent.forEach(entry => {
+      const { content } = entry;
+      content.gtins.forEach(gtin => addOnce(byIdentifier, normalizeGtin(gtin) && `gtin ${normalizeGtin(gtin)}`, entry));
+      content.skus.forEach(sku => addOnce(byIdentifier, normalizeSku(sku) && `sku ${normalizeSku(sku)}`, entry));
+      if (content.canonical) {
+        addOnce(byCanonical, this.key(content.canonical), entry);
+      }
+
+      const name = pageName(content);
+      if (name) {
+        if (!byName.has(name.name)) {
+          byName.set(name.name, []);
+        }
+        byName.get(name.name).push({ entry, source: name.source, description: { name: name.name, attributes: extractAttributes(name.name) } });
+      }
+    });
+
+    // Page names are scored like product names; matching descriptions can add DESCRIPTION_WEIGHT at most,
+    // so the candidate index only has to find names that could reach the threshold with that help
+    const model = new SimilarityModel({
+      stopWords: config.stopWords,
+      synonyms: config.synonyms,
+      attributeMismatchPenalty: config.attributeMismatchPenalty,
+      requireAttributeMatch: config.requireAttributeMatch
+    }).fit([...byName.keys()]);
+    const candidateIndex = new CandidateIndex([...byName.keys()], {
+      model,
+      threshold: Math.max(0, (config.contentMatchThreshold - DESCRIPTION_WEIGHT) / (1 - DESCRIPTION_WEIGHT) - 1e-9)
+    });
+
+    return { byIdentifier, byCanonical, byName, model, candidateIndex };
+  }
+
+  // Build the lookups processBatch() matches against from the new site's entries
+  // Returns { matchers, patternRules, newUrlsByKey, overridesByKey, skuIndexSize, missingAliases, normalizeSku, indexMs }
+  // where matchers holds a buildMatcher() result per scope (see SiteResolver), or one for the whole site
+  buildIndexes(newURLs, { overrides = [], skuAliases = [] } = {}) {
+    const { config, log } = this;
+
+    // Decisions made by hand (or in "url-mapper review"), applied before any matching
+    const overridesByKey = new Map();
+    overrides.forEach(override => {
+      overridesByKey.set(this.key(override.oldURL), override);
+    });
+
+    // New entries grouped by site and locale, so each old URL is only matched within its own
+    const scopes = new Map();
+    newURLs.forEach(entry => {
+      const scope = this.sites.enabled ? this.sites.scopeOf(entry.url) : '';
+      if (!scopes.has(scope)) {
+        scopes.set(scope, []);
+      }
+      scopes.get(scope).push(entry);
+    });
+
+    const indexStarted = performance.now();
+    const matchers = new Map();
+    scopes.forEach((entries, scope) => matchers.set(scope, this.buildMatcher(entries, skuAliases)));
+    const indexMs = performance.now() - indexStarted;
+    if (this.sites.enabled) {
+      log(`Grouped new URLs by site and locale: ${[...scopes].map(([scope, entries]) => `${scope} (${entries.length})`).join(', ')}`);
+    }
+
+    const all = [...matchers.values()];
+    const skuIndexSize = all.reduce((total, { skuIndex }) => total + skuIndex.size, 0);
+    log(`Created SKU index with ${skuIndexSize} entries`);
+    log(`Created product name index with ${all.reduce((total, matcher) => total + Object.keys(matcher.newProductIndex).length, 0)} entries`);
+    log(`Created candidate index in ${Math.round(indexMs)}ms (retrieval: ${config.candidateRetrieval})`);
+    if (config.autoCategoryMatching) {
+      log(`Found ${all.reduce((total, { categories }) => total + categories.length, 0)} category pages in the new URL list`);
+    }
+
+    // Aliases whose new SKU is on none of the new sites
+    const missingAliases = all.reduce(
+      (missing, { skuIndex }) => missing.filter(alias => skuIndex.missingAliases().some(other => other.oldSku === alias.oldSku)),
+      all.length > 0 ? all[0].skuIndex.missingAliases() : []
+    );
+
+    // Every new URL by path, to check pattern rule targets and parent fallbacks exist
+    const newUrlsByKey = new Map();
+    newURLs.forEach(entry => {
+      const key = this.key(entry.url);
+      if (!newUrlsByKey.has(key)) {
+        newUrlsByKey.set(key, entry);
+      }
+    });
+
+    // Pattern rules, with a count of rewrites per rule
+    const patternRules = { rules: compileRewriteRules(config.rewriteRules), stats: {} };
+    patternRules.rules.forEach(rule => {
+      patternRules.stats[rule.name] = { applied: 0, missingTarget: 0 };
+    });
+
+    const normalizeSku = all.length > 0 ? all[0].skuIndex.normalize : sku => sku;
+    return { matchers, newURLs, skuAliases, patternRules, newUrlsByKey, overridesByKey, skuIndexSize, missingAliases, normalizeSku, indexMs };
+  }
+
+  // The matcher for an old URL: the one for its site and locale, or when the new site has no URLs there, the
+  // main site's, or one covering the whole new site
+  matcherFor(url, indexes) {
+    const { matchers } = indexes;
+    const matcher = this.sites.enabled
+      ? matchers.get(this.sites.targetScope(url)) || matchers.get(this.sites.targetScope('/'))
+      : matchers.get('');
+    if (matcher) {
+      return matcher;
+    }
+    if (!indexes.wholeSite) {
+      indexes.wholeSite = this.buildMatcher(indexes.newURLs, indexes.skuAliases);
+    }
+    return indexes.wholeSite;
+  }
+
+  // A new page that the old page's saved content identifies for certain: { newURL, oldName, newName, similarity,
+  // breakdown }, or null. Tried in order: schema.org GTINs, schema.org SKUs (against the new SKUs and the new pages'
+  // schema.org SKUs), the old SKU against the new pages' schema.org SKUs, and a canonical link to another URL that
+  // is on the new site
+  findContentIdentifierMatch(oldProduct, { skuIndex, contentIndex }, newUrlsByKey) {
+    const { content } = oldProduct;
+    const identified = identifier => (contentIndex && contentIndex.byIdentifier.get(identifier)) || null;
+    const match = (entry, breakdown) => ({
+      newURL: entry.url,
+      oldName: this.extractProductName(oldProduct.url),
+      newName: this.extractProductName(entry.url),
+      similarity: 1,
+      breakdown
+    });
+
+    for (const gtin of content.gtins) {
+      const entry = normalizeGtin(gtin) && identified(`gtin ${normalizeGtin(gtin)}`);
+      if (entry) return match(entry, `schema.org gtin ${gtin}`);
+    }
+    for (const sku of content.skus) {
+      const skuMatch = skuIndex.match(sku);
+      const entry = skuMatch ? skuMatch.entry : identified(`sku ${skuIndex.normalize(sku)}`);
+      if (entry) return match(entry, `schema.org sku ${sku}`);
+    }
+    if (oldProduct.sku) {
+      const entry = identified(`sku ${skuIndex.normalize(oldProduct.sku)}`);
+      if (entry) return match(entry, `sku ${oldProduct.sku} in the new page's schema.org data`);
+    }
+
+    const canonicalKey = content.canonical ? this.key(content.canonical) : '';
+    if (canonicalKey && canonicalKey !== this.key(oldProduct.url)) {
+      const entry = newUrlsByKey.get(canonicalKey) || (contentIndex && contentIndex.byCanonical.get(canonicalKey));
+      if (entry) return match(entry, `canonical ${content.canonical}`);
+    }
+    return null;
+  }
+
+  // The new page whose name (schema.org product name, h1 or title) best matches the old page's, with matching
+  // meta descriptions adding to the score: { newURL, oldName, newName, similarity, breakdown }, or null when none
+  // reaches contentMatchThreshold
+  findContentTextMatch(oldProduct, { contentIndex }) {
+    const { config } = this;
+    const oldName = contentIndex ? pageName(oldProduct.content) : null;
+    if (!oldName) {
+      return null;
+    }
+
+    const { model, candidateIndex, byName } = contentIndex;
+    const oldDescription = { name: oldName.name, attributes: extractAttributes(oldName.name) };
+    const oldText = slugify(oldProduct.content.description);
+    const names = config.candidateRetrieval === 'brute-force' ? [...byName.keys()] : candidateIndex.candidates(oldName.name);
+    let best = null;
+
+    names.forEach(name => byName.get(name).forEach(page => {
+      const { score, breakdown } = model.score(oldDescription, page.description);
+      const newText = slugify(page.entry.content.description);
+      const descriptionScore = score > 0 && oldText && newText ? model.nameScore(oldText, newText).score : 0;
+      const similarity = score + (1 - score) * DESCRIPTION_WEIGHT * descriptionScore;
+
+      // Ties go to the first page in index order
+      if (similarity >= config.contentMatchThreshold && (!best || similarity > best.similarity)) {
+        const source = oldName.source === page.source ? oldName.source : `${oldName.source}/${page.source}`;
+        best = {
+          newURL: page.entry.url,
+          oldName: oldName.name,
+          newName: name,
+          similarity,
+          breakdown: `${source} ${formatBreakdown(breakdown)}${descriptionScore > 0 ? `; description ${descriptionScore.toFixed(2)}` : ''}`
+        };
+      }
+    }));
+
+    return best;
+  }
+
+  // Process a single batch of URLs
+  // indexes: as returned by buildIndexes()
+  // categoryMatches: automatic category matches by old URL (see matchCategories()); without it, category URLs
+  // that need one are returned in pendingCategories instead
+  processBatch(oldProducts, indexes, { categoryMatches = null } = {}) {
+    const { config } = this;
+    const { patternRules, newUrlsByKey, overridesByKey } = indexes;
+    const stats = { nameSearches: 0, comparisons: 0, nameMatchMs: 0 };
+    const mapping = [];
+    const unmapped = [];
+    const categoryMappings = [];
+    const pendingCategories = [];
+    const loopDetected = []; // Track potential redirect loops
+
+    // Send a URL without a match to the first fallback target, or record why it stays unmapped
+    const noMatch = (oldProduct, reason) => {
+      const fallback = this.findFallback(oldProduct.url, newUrlsByKey);
+      if (fallback) {
+        mapping.push({
+          oldURL: oldProduct.url,
+          newURL: fallback.newURL,
+          oldName: this.extractProductName(oldProduct.url),
+          newName: '',
+          matchType: fallback.matchType,
+          similarity: '',
+          breakdown: `fallback after ${reason}`,
+          sku: oldProduct.sku
+        });
+      } else {
+        unmapped.push({ oldURL: oldProduct.url, reason, sku: oldProduct.sku });
+      }
+    };
+
+    // Redirect to a new page found from the old page's saved content
+    const contentRow = (oldProduct, match) => {
+      if (this.isSamePage(oldProduct.url, match.newURL)) {
+        loopDetected.push({
+          oldURL: oldProduct.url,
+          newURL: match.newURL,
+          reason: 'identical_content',
+          sku: oldProduct.sku
+        });
+        return;
+      }
+
+      mapping.push({
+        oldURL: oldProduct.url,
+        newURL: match.newURL,
+        oldName: match.oldName,
+        newName: match.newName,
+        matchType: 'content_match',
+        similarity: match.similarity.toFixed(2),
+        breakdown: match.breakdown,
+        sku: oldProduct.sku
+      });
+    };
+
+    // Try the name on the old page's saved content before giving up on a URL
+    const contentOrNoMatch = (oldProduct, matcher, reason) => {
+      const match = oldProduct.content ? this.findContentTextMatch(oldProduct, matcher) : null;
+      if (match) {
+        contentRow(oldProduct, match);
+      } else {
+        noMatch(oldProduct, reason);
+      }
+    };
+
+    for (let i = 0; i < oldProducts.length; i++) {
+      const oldProduct = oldProducts[i];
+
+      // Manual overrides win over everything else
+      const override = overridesByKey.get(this.key(oldProduct.url));
+      if (override) {
+        if (override.exclude) {
+          unmapped.push({ oldURL: oldProduct.url, reason: 'excluded', sku: oldProduct.sku });
+          continue;
+        }
+
+        if (this.isSamePage(oldProduct.url, override.newURL)) {
+          loopDetected.push({
+            oldURL: oldProduct.url,
+            newURL: override.newURL,
+            reason: 'identical_override',
+            sku: oldProduct.sku
+          });
+          continue;
+        }
+
+        mapping.push({
+          oldURL: oldProduct.url,
+          newURL: override.newURL,
+          oldName: this.extractProductName(oldProduct.url),
+          newName: this.extractProductName(override.newURL),
+          matchType: 'manual_override',
+          similarity: '1.00',
+          breakdown: 'override',
+          sku: oldProduct.sku
+        });
+        continue;
+      }
+
+      // Structural rewrite rules come first
+      const ruleMatch = patternRules.rules.length > 0 ? this.applyPatternRules(oldProduct.url, patternRules, newUrlsByKey) : null;
+      if (ruleMatch) {
+        if (this.isSamePage(oldProduct.url, ruleMatch.newURL)) {
+          loopDetected.push({
+            oldURL: oldProduct.url,
+            newURL: ruleMatch.newURL,
+            reason: 'identical_pattern_target',
+            sku: oldProduct.sku
+          });
+          continue;
+        }
+
+        mapping.push({
+          oldURL: oldProduct.url,
+          newURL: ruleMatch.newURL,
+          oldName: this.extractProductName(oldProduct.url),
+          newName: this.extractProductName(ruleMatch.newURL),
+          matchType: 'pattern_rule',
+          similarity: '1.00',
+          breakdown: `rule ${ruleMatch.rule.name}`,
+          rule: ruleMatch.rule.name,
+          sku: oldProduct.sku
+        });
+        continue;
+      }
+
+      // Try SKU matching first for product pages
+      const matcher = this.matcherFor(oldProduct.url, indexes);
+      const { newProductIndex, skuIndex, candidateIndex, similarityModel, categories } = matcher;
+      const skuMatch = skuIndex.match(oldProduct.sku);
+      if (skuMatch) {
+        const newProduct = skuMatch.entry;
+
+        // Check for potential redirect loops
+        if (this.isSamePage(oldProduct.url, newProduct.url)) {
+          loopDetected.push({
+            oldURL: oldProduct.url,
+            newURL: newProduct.url,
+            reason: 'identical_urls',
+            sku: oldProduct.sku
+          });
+          continue;
+        }
+
+        mapping.push({
+          oldURL: oldProduct.url,
+          newURL: newProduct.url,
+          oldName: this.extractProductName(oldProduct.url),
+          newName: this.extractProductName(newProduct.url),
+          matchType: skuMatch.matchType,
+          similarity: '1.00',
+          breakdown: skuMatch.matchType === 'sku_match' ? 'sku' : `sku ${oldProduct.sku} -> ${skuMatch.matchedSku}`,
+          sku: oldProduct.sku
+        });
+        continue;
+      }
+
+      // Then product identifiers and canonical links in the old page's saved content
+      const identified = oldProduct.content ? this.findContentIdentifierMatch(oldProduct, matcher, newUrlsByKey) : null;
+      if (identified) {
+        contentRow(oldProduct, identified);
+        continue;
+      }
+
+      // Determine if this is a product or category URL
+      const isProduct = config.productUrlPatterns.some(pattern => oldProduct.url.includes(pattern));
+      const isCategory = config.categoryUrlPatterns.some(pattern => oldProduct.url.includes(pattern));
+
+      if (!isProduct) {
+        if (isCategory) {
+          // Try to find a category match
+          const newCategoryUrl = this.findMappedCategory(oldProduct.url);
+
+          if (newCategoryUrl) {
+            // Check for potential redirect loops
+            if (this.isSamePage(oldProduct.url, newCategoryUrl)) {
+              loopDetected.push({
+                oldURL: oldProduct.url,
+                newURL: newCategoryUrl,
+                reason: 'identical_category',
+              });
+              continue;
+            }
+
+            categoryMappings.push({
+              oldURL: oldProduct.url,
+              newURL: newCategoryUrl,
+              matchType: 'category_redirect',
+              similarity: '1.00'
+            });
+          } else if (categories.length > 0) {
+            // Matched against the new categories once every product is mapped
+            if (!categoryMatches) {
+              pendingCategories.push(oldProduct);
+              continue;
+            }
+
+            const match = categoryMatches.get(oldProduct.url);
+            if (!match) {
+              noMatch(oldProduct, 'no_category_match');
+            } else if (this.isSamePage(oldProduct.url, match.newURL)) {
+              loopDetected.push({
+                oldURL: oldProduct.url,
+                newURL: match.newURL,
+                reason: 'identical_category',
+              });
+            } else {
+              categoryMappings.push({
+                oldURL: oldProduct.url,
+                newURL: match.newURL,
+                oldName: this.categorySlug(oldProduct.url),
+                newName: match.slug,
+                matchType: 'category_auto_match',
+                similarity: match.confidence.toFixed(2),
+                breakdown: match.breakdown
+              });
+            }
+          } else {
+            noMatch(oldProduct, 'no_category_mapping');
+          }
+        } else {
+          contentOrNoMatch(oldProduct, matcher, 'not_product_or_category');
+        }
+        continue;
+      }
+
+      // For products without SKU match, try name-based matching
+      const productName = this.extractProductName(oldProduct.url);
+      if (!productName) {
+        contentOrNoMatch(oldProduct, matcher, 'no_product_name');
+        continue;
+      }
+
+      const oldDescription = this.describeProduct(oldProduct.url);
+      const scored = [];
+      const started = performance.now();
+
+      // Only score names that can possibly match, unless brute force is requested
+      const candidateNames = config.candidateRetrieval === 'brute-force'
+        ? Object.keys(newProductIndex)
+        : candidateIndex.candidates(productName);
+
+      for (const name of candidateNames) {
+        for (const product of newProductIndex[name]) {
+          const { score, breakdown } = similarityModel.score(oldDescription, product.description);
+          if (score > config.similarityThreshold) {
+            scored.push({ similarity: score, product, breakdown });
+          }
+        }
+      }
+
+      // Stable sort, so ties go to the first name and product in index order
+      scored.sort((a, b) => b.similarity - a.similarity);
+
+      stats.nameSearches++;
+      stats.comparisons += candidateNames.length;
+      stats.nameMatchMs += performance.now() - started;
+
+      // The saved page's name wins when it matches better than the URL slug
+      const contentMatch = oldProduct.content ? this.findContentTextMatch(oldProduct, matcher) : null;
+      if (contentMatch && (scored.length === 0 || contentMatch.similarity > scored[0].similarity)) {
+        contentRow(oldProduct, contentMatch);
+        continue;
+      }
+
+      if (scored.length > 0) {
+        const { similarity, breakdown } = scored[0];
+        const bestMatch = scored[0].product;
+
+        // Check for potential redirect loops
+        if (this.isSamePage(oldProduct.url, bestMatch.url)) {
+          loopDetected.push({
+            oldURL: oldProduct.url,
+            newURL: bestMatch.url,
+            reason: 'identical_product',
+            oldName: productName,
+            newName: bestMatch.description.name
+          });
+          continue;
+        }
+
+        // Keep the next best products for the assignment pass and for review
+        const candidates = scored
+          .filter(({ product }) => !this.isSamePage(oldProduct.url, product.url))
+          .slice(0, Math.max(MAX_CANDIDATES, config.runnersUp + 1))
+          .map(({ similarity: score, product, breakdown: details }) => ({
+            url: product.url,
+            name: product.description.name,
+            similarity: score,
+            breakdown: formatBreakdown(details)
+          }));
+
+        mapping.push({
+          oldURL: oldProduct.url,
+          newURL: bestMatch.url,
+          oldName: productName,
+          newName: bestMatch.description.name,
+          matchType: this.matchTypeFor(similarity),
+          similarity: similarity.toFixed(2),
+          breakdown: formatBreakdown(breakdown),
+          candidates
+        });
+      } else {
+        noMatch(oldProduct, 'no_name_match');
+      }
+    }
+
+    // Carry the traffic of old URLs found in access logs over to their rows
+    if (oldProducts.some(oldProduct => oldProduct.hits !== undefined)) {
+      const hitsByUrl = new Map(oldProducts.map(oldProduct => [oldProduct.url, oldProduct.hits]));
+      [mapping, unmapped, categoryMappings, loopDetected].forEach(rows => rows.forEach(row => {
+        row.hits = hitsByUrl.get(row.oldURL);
+      }));
+    }
+
+    return { mapping, unmapped, categoryMappings, pendingCategories, loopDetected, stats };
+  }
+
+  // Index the new site for mapBatch(), resetting the running totals
+  // data: { overrides, skuAliases }, as read by readOverrides() and readSkuAliases()
+  prepare(newEntries, { overrides = [], skuAliases = [] } = {}) {
+    this.newURLs = this.normalizeEntries(newEntries, 'new');
+    this.indexes = this.buildIndexes(this.newURLs, { overrides, skuAliases });
+    this.seenOldKeys = new Set();
+    this.matchStats = { nameSearches: 0, comparisons: 0, nameMatchMs: 0 };
+    this.oldWithSku = 0;
+    this.pendingCategories = [];
+    this.categoryVotes = new Map();
+    return this;
+  }
+
+  // Map one batch of old entries against the prepared new site
+  // Returns processBatch()'s { mapping, unmapped, categoryMappings, loopDetected } plus the normalised
+  // entries; old URLs already seen in an earlier batch are dropped, and old category URLs to be matched
+  // automatically are held back for matchCategories()
+  mapBatch(oldEntries) {
+    const entries = this.normalizeEntries(oldEntries, 'old', this.seenOldKeys);
+    const { mapping, unmapped, categoryMappings, pendingCategories, loopDetected, stats } = this.processBatch(entries, this.indexes);
+
+    Object.keys(this.matchStats).forEach(key => {
+      this.matchStats[key] += stats[key];
+    });
+    this.oldWithSku += entries.filter(entry => entry.sku).length;
+
+    // The candidates that lost to each name match, for review
+    mapping.forEach(row => this.setRunnersUp(row));
+
+    this.pendingCategories.push(...pendingCategories);
+    this.countCategoryVotes(entries, mapping);
+
+    return { entries, mapping, unmapped, categoryMappings, loopDetected };
+  }
+
+  // Count which new category the products of each old category were mapped into
+  // categoryVotes: "scope slug" of an old category -> { total, byUrl: new category URL -> products }
+  countCategoryVotes(entries, mapping) {
+    if (!this.config.autoCategoryMatching) return;
+
+    const entriesByUrl = new Map(entries.map(entry => [entry.url, entry]));
+    mapping.forEach(row => {
+      if (this.isFallbackOrCategory(row)) return;
+      const slug = this.entryCategorySlug(entriesByUrl.get(row.oldURL));
+      const category = slug && this.matcherFor(row.oldURL, this.indexes).categoryByKey.get(this.key(row.newURL));
+      if (!category) return;
+
+      const voteKey = `${this.sites.enabled ? this.sites.targetScope(row.oldURL) : ''} ${slug}`;
+      if (!this.categoryVotes.has(voteKey)) {
+        this.categoryVotes.set(voteKey, { total: 0, byUrl: new Map() });
+      }
+      const votes = this.categoryVotes.get(voteKey);
+      votes.total++;
+      votes.byUrl.set(category.url, (votes.byUrl.get(category.url) || 0) + 1);
+    });
+  }
+
+  // The best new category for an old category URL: { newURL, slug, confidence, breakdown }, or null when
+  // none reaches categoryMatchThreshold. Confidence combines slug similarity with the share of the old
+  // category's mapped products that went to the new category (which counts for more the more products there are).
+  findCategoryMatch(url) {
+    const { categories, categoryModel } = this.matcherFor(url, this.indexes);
+    const slug = this.categorySlug(url);
+    const votes = this.categoryVotes.get(`${this.sites.enabled ? this.sites.targetScope(url) : ''} ${slug}`);
+    let best = null;
+
+    categories.forEach(category => {
+      const { score: slugScore, method } = categoryModel.nameScore(slug, category.slug);
+      const products = votes ? votes.byUrl.get(category.url) || 0 : 0;
+      const productScore = votes ? products / (votes.total + 1) : 0;
+      const confidence = 1 - (1 - slugScore) * (1 - productScore);
+      if (!best || confidence > best.confidence) {
+        const evidence = votes ? `${products} of ${votes.total} mapped products` : 'no mapped products';
+        best = { newURL: category.url, slug: category.slug, confidence, slugScore, method, evidence };
+      }
+    });
+
+    if (!best || best.confidence < this.config.categoryMatchThreshold || best.confidence === 0) {
+      return null;
+    }
+    const { newURL, confidence, slugScore, method, evidence } = best;
+    return {
+      newURL,
+      slug: best.slug,
+      confidence,
+      breakdown: `${this.confidenceLevel(confidence)} confidence: slug ${method} ${slugScore.toFixed(2)}; ${evidence}`
+    };
+  }
+
+  // Match the old category URLs held back by mapBatch(), once every product has been mapped
+  // Returns the same lists as mapBatch() for those URLs (category_auto_match rows, fallbacks, unmapped and loops)
+  matchCategories() {
+    const pending = this.pendingCategories;
+    this.pendingCategories = [];
+
+    const categoryMatches = new Map();
+    pending.forEach(entry => {
+      const match = this.findCategoryMatch(entry.url);
+      if (match) {
+        categoryMatches.set(entry.url, match);
+      }
+    });
+
+    const { mapping, unmapped, categoryMappings, loopDetected } = this.processBatch(pending, this.indexes, { categoryMatches });
+    return { entries: [], mapping, unmapped, categoryMappings, loopDetected };
+  }
+
+  // List the candidates a name match was chosen over
+  setRunnersUp(row) {
+    if (row.candidates) {
+      row.runnersUp = row.candidates.filter(candidate => candidate.url !== row.newURL).slice(0, this.config.runnersUp);
+    }
+  }
+
+  // Statistics about the new site index, name matching and SKUs since prepare()
+  indexStats() {
+    const { indexes } = this;
+    return {
+      newUrls: this.newURLs.length,
+      oldWithSku: this.oldWithSku,
+      patternRules: indexes.patternRules.stats,
+      skuIndexSize: indexes.skuIndexSize,
+      missingAliases: indexes.missingAliases,
+      ...this.matchStats,
+      indexMs: indexes.indexMs
+    };
+  }
+
+  // Map old entries to new entries ({ sku, url } each)
+  // data: { overrides, existingRedirects, skuAliases }, as read by readOverrides(), readMappingFile() and readSkuAliases()
+  // Returns { mappings, unmapped, categories, loops, redirects, fanIn, duplicateSkus, stats }; redirects is what
+  // gets written out: mappings and categories with chains flattened, cycles removed and URLs normalised
+  map(oldEntries, newEntries, { overrides = [], existingRedirects = [], skuAliases = [] } = {}) {
+    const { config, log } = this;
+    const runStarted = performance.now();
+
+    this.prepare(newEntries, { overrides, skuAliases });
+
+    // Process in batches
+    const batchSize = config.batchSize;
+    const totalBatches = Math.ceil(oldEntries.length / batchSize);
+
+    const oldURLs = [];
+    let allMappings = [];
+    const allUnmapped = [];
+    const allCategoryMappings = [];
+    const allLoopDetected = []; // Track all potential redirect loops
+
+    const collect = batch => {
+      oldURLs.push(...batch.entries);
+      allMappings.push(...batch.mapping);
+      allUnmapped.push(...batch.unmapped);
+      allCategoryMappings.push(...batch.categoryMappings);
+      allLoopDetected.push(...batch.loopDetected);
+    };
+
+    for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
+      log(`\nProcessing batch ${batchNum + 1} of ${totalBatches}...`);
+
+      const startIndex = batchNum * batchSize;
+      const endIndex = Math.min((batchNum + 1) * batchSize, oldEntries.length);
+      const batch = this.mapBatch(oldEntries.slice(startIndex, endIndex));
+      const { mapping, unmapped, categoryMappings, loopDetected } = batch;
+
+      log(`Batch ${batchNum + 1} results:`);
+      log(`- Mapped: ${mapping.length} URLs`);
+      log(`- Unmapped: ${unmapped.length} URLs`);
+      log(`- Categories: ${categoryMappings.length} URLs`);
+      log(`- Potential loops: ${loopDetected.length} URLs`);
+
+      collect(batch);
+    }
+
+    // Old categories without a mapping, matched now that their products have been
+    const categoryBatch = this.matchCategories();
+    if (config.autoCategoryMatching) {
+      log(`\nMatched ${categoryBatch.categoryMappings.length} old categories to new category pages automatically`);
+    }
+    collect(categoryBatch);
+
+    const duplicateSkus = this.duplicateSkus(oldURLs);
+
+    // Optionally spread close name matches over distinct new URLs
+    let reassigned = 0;
+    if (config.assignment === 'one-to-one') {
+      const choices = assignDistinctTargets(allMappings, { tolerance: config.assignmentTolerance, key: url => this.key(url) });
+      allMappings = allMappings.map((row, index) => {
+        const choice = choices[index];
+        if (!choice || choice.url === row.newURL) return row;
+        reassigned++;
+        const retargeted = this.retarget(row, choice);
+        this.setRunnersUp(retargeted);
+        return retargeted;
+      });
+    }
+
+    // Flatten multi-hop chains and drop cycles across the whole mapping
+    const mappedRows = allMappings.concat(allCategoryMappings.filter(mapping => mapping.newURL));
+    const graph = resolveRedirectChains(mappedRows, existingRedirects, url => this.key(url));
+    allLoopDetected.push(...graph.cycles);
+
+    // New URLs receiving many product redirects
+    const fanIn = findFanIn(graph.rows.filter(row => !this.isFallbackOrCategory(row)), {
+      minimum: config.fanInThreshold,
+      key: url => this.key(url)
+    });
+
+    // Targets from overrides, rules and settings are normalised like the input URLs
+    const redirects = graph.rows.map(row => this.normalizeRedirect(row));
+
+    const matchTypes = {};
+    allMappings.forEach(({ matchType }) => {
+      matchTypes[matchType] = (matchTypes[matchType] || 0) + 1;
+    });
+    const fallbacks = allMappings.filter(({ matchType }) => matchType.startsWith('fallback_')).length;
+
+    return {
+      mappings: allMappings,
+      unmapped: allUnmapped,
+      categories: allCategoryMappings,
+      loops: allLoopDetected,
+      redirects,
+      fanIn,
+      duplicateSkus,
+      stats: {
+        oldUrls: oldURLs.length,
+        mapped: allMappings.length - fallbacks,
+        fallbacks,
+        unmapped: allUnmapped.length,
+        categories: allCategoryMappings.length,
+        loops: allLoopDetected.length,
+        cycles: graph.cycles.length,
+        flattened: graph.flattened,
+        reassigned,
+        matchTypes,
+        ...this.indexStats(),
+        totalMs: performance.now() - runStarted
+      }
+    };
+  }
+
+  // SKUs used by more than one URL of the same site and locale, on either side ({ side, sku, entries } each)
+  // oldEntries: the normalised old entries (at least their sku and url)
+  duplicateSkus(oldEntries) {
+    return [...this.duplicateOldSkus(oldEntries), ...this.duplicateNewSkus()];
+  }
+
+  // The old side of duplicateSkus(); entries sharing a SKU must be passed together, others may be left out
+  duplicateOldSkus(oldEntries) {
+    const oldByScope = new Map();
+    oldEntries.forEach(entry => {
+      const scope = this.sites.enabled ? this.sites.targetScope(entry.url) : '';
+      if (!oldByScope.has(scope)) {
+        oldByScope.set(scope, []);
+      }
+      oldByScope.get(scope).push(entry);
+    });
+
+    return [...oldByScope.values()]
+      .flatMap(entries => findDuplicateSkus(entries, this.indexes.normalizeSku))
+      .map(duplicate => ({ side: 'old', ...duplicate }));
+  }
+
+  // The new side of duplicateSkus()
+  duplicateNewSkus() {
+    const { matchers, normalizeSku } = this.indexes;
+    return [...matchers.values()]
+      .flatMap(({ entries }) => findDuplicateSkus(entries, normalizeSku))
+      .map(duplicate => ({ side: 'new', ...duplicate }));
+  }
+
+  // The form SKUs are compared in, e.g. to group old SKUs outside the mapper
+  skuKey(sku) {
+    return this.indexes.normalizeSku(sku);
+  }
+
+  // True for rows that are not product matches and so do not count towards fan-in
+  isFallbackOrCategory(row) {
+    return row.matchType === 'category_redirect' || row.matchType === 'category_auto_match' || row.matchType.startsWith('fallback_');
+  }
+
+  // A redirect with both URLs normalised like the input URLs
+  normalizeRedirect(row) {
+    return {
+      ...row,
+      oldURL: this.normalizer.normalize(row.oldURL),
+      newURL: this.normalizer.normalize(row.newURL)
+    };
+  }
+}
+
+// Create a mapper from settings (any keys of DEFAULT_CONFIG; the rest keep their defaults)
+// hooks: { log } to receive progress messages
+function createMapper(options = {}, hooks = {}) {
+  validateConfig(options, 'mapper options');
+  const config = { ...DEFAULT_CONFIG, ...options };
+  validateThresholds(config);
+  return new Mapper(config, hooks);
+}
+
+module.exports = {
+  Mapper,
+  createMapper,
+  cleanProductName
+};
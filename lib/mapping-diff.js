@@ -0,0 +1,85 @@
+/**
+ * Mapping diff
+ *
+ * Compares a run's redirects with a previous url-mapping.csv, reporting old URLs that were
+ * added, removed or retargeted, and those whose match type or similarity changed, plus
+ * loops that were not in the previous run's loops file. An old URL gets one row per change
+ * that applies (a retargeted row whose similarity changed too is listed twice), and a URL
+ * that became a loop is a new_loop rather than removed. Changes to rows whose previous match
+ * type counts as approved (manual_override by default) are flagged, so a run can fail when
+ * signed-off redirects move.
+ */
+
+// Change kinds, most important first
+const CHANGES = ['added', 'removed', 'retargeted', 'match_type_changed', 'similarity_changed', 'new_loop'];
+
+// Compare previous and current mapping rows
+// options: { key, previousLoops, currentLoops, approvedMatchTypes }
+// Returns { changes, counts, approvedChanges }
+function diffMappings(previousRows, currentRows, { key, previousLoops = [], currentLoops = [], approvedMatchTypes = [] }) {
+  const previousByKey = new Map(previousRows.map(row => [key(row.oldURL), row]));
+  const currentByKey = new Map(currentRows.map(row => [key(row.oldURL), row]));
+  const changes = [];
+
+  const record = (change, previous, current) => {
+    changes.push({
+      change,
+      oldURL: (current || previous).oldURL,
+      previousURL: previous ? previous.newURL : '',
+      newURL: current ? current.newURL : '',
+      previousMatchType: previous ? previous.matchType : '',
+      matchType: current ? current.matchType : '',
+      previousSimilarity: previous ? previous.similarity : '',
+      similarity: current ? current.similarity : '',
+      approved: Boolean(previous && approvedMatchTypes.includes(previous.matchType))
+    });
+  };
+
+  currentByKey.forEach((current, rowKey) => {
+    const previous = previousByKey.get(rowKey);
+    if (!previous) {
+      record('added', null, current);
+      return;
+    }
+    if (key(previous.newURL) !== key(current.newURL)) {
+      record('retargeted', previous, current);
+    }
+    if (previous.matchType !== current.matchType) {
+      record('match_type_changed', previous, current);
+    }
+    if (String(previous.similarity) !== String(current.similarity)) {
+      record('similarity_changed', previous, current);
+    }
+  });
+
+  // A URL that is now a loop has no redirect, but is reported as a loop instead
+  const currentLoopKeys = new Set(currentLoops.map(loop => key(loop.oldURL)));
+  previousByKey.forEach((previous, rowKey) => {
+    if (!currentByKey.has(rowKey) && !currentLoopKeys.has(rowKey)) {
+      record('removed', previous, null);
+    }
+  });
+
+  const previousLoopKeys = new Set(previousLoops.map(loop => key(loop.oldURL)));
+  currentLoops
+    .filter(loop => !previousLoopKeys.has(key(loop.oldURL)))
+    .forEach(loop => {
+      record('new_loop', previousByKey.get(key(loop.oldURL)) || null, { ...loop, matchType: loop.reason, similarity: '' });
+    });
+
+  changes.sort((a, b) => CHANGES.indexOf(a.change) - CHANGES.indexOf(b.change));
+
+  const counts = {};
+  CHANGES.forEach(change => {
+    counts[change] = changes.filter(row => row.change === change).length;
+  });
+
+  // Approved redirects that changed, counting each old URL once
+  const approvedChanges = new Set(changes.filter(row => row.approved).map(row => key(row.oldURL))).size;
+  return { changes, counts, approvedChanges };
+}
+
+module.exports = {
+  CHANGES,
+  diffMappings
+};
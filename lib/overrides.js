@@ -0,0 +1,43 @@
+/**
+ * Manual overrides
+ *
+ * An overrides file is a CSV of old_url,new_url pairs that are applied before automatic
+ * matching, so fixes made by hand survive reruns. A new_url of "exclude" keeps the old URL
+ * out of the mapping altogether. The file is written by "url-mapper review" and can be
+ * edited by hand.
+ */
+
+const fs = require('fs');
+const { readMappingFile } = require('./writers');
+const { formatCSVRow } = require('./csv');
+
+// Target that keeps an old URL out of the mapping
+const EXCLUDE = 'exclude';
+
+// Read an overrides file into { oldURL, newURL, exclude } entries; a missing file has none
+function readOverrides(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  return readMappingFile(file).map(({ oldURL, newURL }) => ({
+    oldURL,
+    newURL: newURL.toLowerCase() === EXCLUDE ? '' : newURL,
+    exclude: newURL.toLowerCase() === EXCLUDE
+  }));
+}
+
+// Write override entries back to a file, one row per old URL
+function writeOverrides(file, overrides) {
+  let content = 'old_url,new_url\n';
+  overrides.forEach(({ oldURL, newURL, exclude }) => {
+    content += formatCSVRow([oldURL, exclude ? EXCLUDE : newURL], { quoteAll: true }) + '\n';
+  });
+  fs.writeFileSync(file, content);
+}
+
+module.exports = {
+  EXCLUDE,
+  readOverrides,
+  writeOverrides
+};
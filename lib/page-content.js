@@ -0,0 +1,232 @@
+/**
+ * Page content from saved HTML
+ *
+ * Reads locally saved pages (e.g. a `wget --mirror` directory) and extracts what identifies a
+ * page beyond its URL: <title>, the first <h1>, the canonical link, the meta description and
+ * schema.org Product JSON-LD (name, SKU and GTIN). The mapper uses these for content matching
+ * when a product's slug changed completely in a rebrand (see findContentIdentifierMatch() and
+ * findContentTextMatch() in lib/mapper.js).
+ *
+ *   const { parsePageContent } = require('./page-content');
+ *   parsePageContent(html);
+ *   // { title, h1, canonical, description, productName, skus, gtins }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitUrl } = require('./writers/common');
+
+// Separators between a page title and the site name ("Blue Widget | Shop"); hyphens are left alone
+// since product names use them too
+const TITLE_SEPARATOR = /\s+(?:\||–|—|::|·)\s+/;
+
+// JSON-LD properties holding a GTIN
+const GTIN_PROPERTIES = ['gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14'];
+
+// Named entities common in titles and descriptions
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', hellip: '…', reg: '®', trade: '™', copy: '©' };
+
+// Decode HTML entities and collapse whitespace
+function decodeHtml(text) {
+  return String(text || '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&([a-z]+);/gi, (entity, name) => (ENTITIES[name.toLowerCase()] === undefined ? entity : ENTITIES[name.toLowerCase()]))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Text of an element with the tags inside it removed
+function elementText(html, tagName) {
+  const match = new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, 'i').exec(html);
+  return match ? decodeHtml(match[1].replace(/<[^>]*>/g, ' ')) : '';
+}
+
+// Attributes of every tag with the given name, as lowercase name -> value objects
+function tagAttributes(html, tagName) {
+  const tags = html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'gi')) || [];
+  return tags.map(tag => {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+      attributes[match[1].toLowerCase()] = decodeHtml(match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+  });
+}
+
+// True if a JSON-LD node is a Product (or a product group)
+function isProductNode(node) {
+  const types = [].concat(node['@type'] || []);
+  return types.some(type => /^(?:https?:\/\/schema\.org\/)?(?:Product|ProductGroup|IndividualProduct|ProductModel)$/i.test(type));
+}
+
+// Every Product node in a parsed JSON-LD document, including those in @graph, variants and nested values
+function productNodes(value, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => productNodes(item, found));
+  } else if (value && typeof value === 'object') {
+    if (isProductNode(value)) {
+      found.push(value);
+    }
+    Object.values(value).forEach(item => productNodes(item, found));
+  }
+  return found;
+}
+
+// String values of a JSON-LD property, on the node and on its offers
+function propertyValues(node, names) {
+  const values = [];
+  [node, ...[].concat(node.offers || [])].forEach(holder => {
+    if (!holder || typeof holder !== 'object') return;
+    names.forEach(name => {
+      [].concat(holder[name] || []).forEach(value => {
+        if (typeof value === 'string' || typeof value === 'number') {
+          values.push(String(value).trim());
+        }
+      });
+    });
+  });
+  return values.filter(value => value);
+}
+
+// Extract the identifying content of a page: { title, h1, canonical, description, productName, skus, gtins }
+function parsePageContent(html) {
+  const text = String(html || '');
+  const canonical = tagAttributes(text, 'link').find(link => (link.rel || '').toLowerCase().split(/\s+/).includes('canonical'));
+  const metas = tagAttributes(text, 'meta');
+  const meta = name => metas.find(tag => (tag.name || tag.property || '').toLowerCase() === name);
+  const description = meta('description') || meta('og:description');
+
+  // Pages with broken JSON-LD still have their title and headings read
+  const products = [];
+  const scripts = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = scripts.exec(text)) !== null) {
+    try {
+      productNodes(JSON.parse(match[1].trim()), products);
+    } catch (e) {
+      // Not valid JSON
+    }
+  }
+
+  const productName = products.map(node => (typeof node.name === 'string' ? decodeHtml(node.name) : '')).find(name => name) || '';
+  return {
+    title: elementText(text, 'title'),
+    h1: elementText(text, 'h1'),
+    canonical: canonical && canonical.href ? canonical.href : '',
+    description: description && description.content ? description.content : '',
+    productName,
+    skus: [...new Set(products.flatMap(node => propertyValues(node, ['sku'])))],
+    gtins: [...new Set(products.flatMap(node => propertyValues(node, GTIN_PROPERTIES)))]
+  };
+}
+
+// Lowercase hyphenated words of a text, the form product slugs are compared in
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/(^|-)\.+|\.+(?=-|$)/g, '$1')
+    .replace(/^-+|-+$/g, '');
+}
+
+// The name a page is known by: its schema.org product name, else its h1, else its title without the site name
+// Returns { name, source } with name slugified, or null for a page with none of them
+function pageName(content) {
+  if (!content) return null;
+  const title = content.title.split(TITLE_SEPARATOR)[0];
+  const [source, text] = [['product name', content.productName], ['h1', content.h1], ['title', title]].find(([, value]) => slugify(value)) || [];
+  return source ? { name: slugify(text), source } : null;
+}
+
+// A GTIN as digits only, without the leading zeros that pad GTIN-8/12/13 to GTIN-14
+function normalizeGtin(gtin) {
+  return String(gtin || '').replace(/\D/g, '').replace(/^0+/, '');
+}
+
+class SnapshotReader {
+  // dir: the folder of saved pages; with a wget mirror, either the mirror folder (holding one folder per host)
+  // or a host folder inside it
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.found = 0;
+    this.missing = 0;
+    // Host folders, searched for URLs without a host
+    this.hostDirs = fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(item => item.isDirectory() && /^[\w-]+(\.[\w-]+)+(:\d+)?$/.test(item.name))
+      .map(item => path.join(this.dir, item.name));
+  }
+
+  // Files a page may have been saved as, most likely first: wget saves /a/ as a/index.html, /a as a or a.html
+  // (with --adjust-extension) and /a?b=1 as a?b=1 (a@b=1 with --restrict-file-names=windows)
+  candidateFiles(url) {
+    const { host, pathname, query } = splitUrl(url);
+    let decoded = pathname;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (e) {
+      // Keep malformed escapes as they are
+    }
+
+    const names = [];
+    [...new Set([decoded, pathname])].forEach(name => {
+      const base = name.replace(/\/+$/, '');
+      if (query) {
+        names.push(`${name}?${query}`, `${name}?${query}.html`, `${name}@${query}`, `${name}@${query}.html`);
+      } else if (name.endsWith('/')) {
+        names.push(`${base}/index.html`, `${base}/index.htm`, `${base}.html`);
+      } else {
+        names.push(name, `${name}.html`, `${name}.htm`, `${name}/index.html`);
+      }
+    });
+
+    const roots = host
+      ? [...new Set([path.join(this.dir, host), path.join(this.dir, host.replace(/^www\./, '')), path.join(this.dir, `www.${host.replace(/^www\./, '')}`), this.dir])]
+      : [...this.hostDirs, this.dir];
+    // Paths with ".." segments must not reach outside the snapshot folder
+    return roots.flatMap(root => names.map(name => path.join(root, name)).filter(file => file.startsWith(root + path.sep)));
+  }
+
+  // The saved file of a page, or null
+  findFile(url) {
+    return this.candidateFiles(url).find(file => {
+      try {
+        return fs.statSync(file).isFile();
+      } catch (e) {
+        return false;
+      }
+    }) || null;
+  }
+
+  // The content of a saved page, or null when it was not saved
+  read(url) {
+    const file = this.findFile(url);
+    if (!file) {
+      this.missing++;
+      return null;
+    }
+    this.found++;
+    return parsePageContent(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Entries with the content of their saved page, for those that have one
+  attach(entries) {
+    return entries.map(entry => {
+      const content = this.read(entry.url);
+      return content ? { ...entry, content } : entry;
+    });
+  }
+}
+
+module.exports = {
+  parsePageContent,
+  pageName,
+  slugify,
+  normalizeGtin,
+  SnapshotReader
+};
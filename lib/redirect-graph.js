@@ -0,0 +1,116 @@
+/**
+ * Redirect graph
+ *
+ * Treats the final mapping (plus any imported existing redirects) as a graph of
+ * source -> target edges, flattens chains so every source points straight at its final
+ * destination, and detects cycles of any length.
+ */
+
+// Longest chain followed before giving up and treating it as a cycle
+const MAX_HOPS = 50;
+
+// Follow a redirect from its source until it leaves the graph or revisits a URL
+function followChain(start, edges, normalize) {
+  const path = [start.oldURL];
+  const seen = new Set([normalize(start.oldURL)]);
+  let current = start;
+
+  while (path.length <= MAX_HOPS) {
+    const targetKey = normalize(current.newURL);
+    path.push(current.newURL);
+
+    if (seen.has(targetKey)) {
+      return { cycle: true, path };
+    }
+
+    const next = edges.get(targetKey);
+    if (!next) {
+      return { cycle: false, path, destination: current.newURL };
+    }
+
+    seen.add(targetKey);
+    current = next;
+  }
+
+  return { cycle: true, path };
+}
+
+// Redirect edges collected as the mapping is produced, so rows can be resolved one at a time
+// without holding them all; only each source's key and target URL is kept
+class RedirectGraph {
+  // existing: imported redirects ({ oldURL, newURL }); normalize: maps a URL to the key used to
+  // decide whether two URLs are the same page
+  constructor(existing, normalize) {
+    this.existing = existing;
+    this.normalize = normalize;
+    this.edges = new Map();
+    this.mappedKeys = new Set();
+    this.cycles = [];
+    this.flattened = 0;
+    existing.forEach(redirect => this.edges.set(normalize(redirect.oldURL), redirect));
+  }
+
+  // Add a newly mapped row, replacing any existing redirect for the same source
+  add(row) {
+    const key = this.normalize(row.oldURL);
+    this.edges.set(key, { newURL: row.newURL });
+    this.mappedKeys.add(key);
+  }
+
+  // The row pointing at its final destination, or null when it is part of a cycle (recorded in cycles)
+  // Call once every row has been added
+  resolve(row) {
+    const { cycle, path, destination } = followChain(row, this.edges, this.normalize);
+
+    if (cycle) {
+      this.cycles.push({
+        oldURL: row.oldURL,
+        newURL: row.newURL,
+        reason: 'redirect_cycle',
+        oldName: row.oldName,
+        newName: row.newName,
+        sku: row.sku,
+        path
+      });
+      return null;
+    }
+
+    if (path.length > 2) {
+      this.flattened++;
+      return { ...row, newURL: destination, chain: path };
+    }
+    return row;
+  }
+
+  // Existing redirects that new mappings extend into a chain, re-emitted pointing at the final destination
+  extendedRedirects() {
+    const rows = [];
+    this.existing
+      .filter(redirect => !this.mappedKeys.has(this.normalize(redirect.oldURL)))
+      .forEach(redirect => {
+        const row = this.resolve({ ...redirect, matchType: 'existing_redirect', similarity: '' });
+        if (row && row.chain) {
+          rows.push(row);
+        }
+      });
+    return rows;
+  }
+}
+
+// Resolve chains and cycles across the mapping
+// rows: mapping rows ({ oldURL, newURL, ... }); existing: imported redirects ({ oldURL, newURL })
+// normalize: maps a URL to the key used to decide whether two URLs are the same page
+function resolveRedirectChains(rows, existing, normalize) {
+  const graph = new RedirectGraph(existing, normalize);
+  rows.forEach(row => graph.add(row));
+
+  const resolved = rows.map(row => graph.resolve(row)).filter(Boolean);
+  resolved.push(...graph.extendedRedirects());
+
+  return { rows: resolved, cycles: graph.cycles, flattened: graph.flattened };
+}
+
+module.exports = {
+  RedirectGraph,
+  resolveRedirectChains
+};
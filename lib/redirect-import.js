@@ -0,0 +1,332 @@
+/**
+ * Existing redirect import
+ *
+ * Reads the redirects a site already serves, so they can be flattened into and checked against a
+ * new mapping:
+ *
+ *  - Apache .htaccess: Redirect, RedirectPermanent, RedirectTemp, and RedirectMatch / RewriteRule
+ *    lines whose pattern is a plain anchored path (with a literal RewriteCond %{QUERY_STRING})
+ *  - Nginx config: map blocks, "location = /old { return 301 /new; }" and plain "rewrite ... permanent"
+ *  - Netlify _redirects files
+ *  - CSV files of old_url,new_url pairs (see readMappingFile())
+ *
+ * Each redirect is { oldURL, newURL, status, origin } where origin is "file:line". Apache Redirect lines
+ * and Netlify "/a/* /b/:splat" rules also redirect every path below the source; they are marked with
+ * prefix: true. Rules that cannot be compared with single redirects (regular expressions, placeholders,
+ * host conditions) are returned as skipped with the reason.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readMappingFile } = require('./writers');
+
+// Redirect status codes; other codes (200 rewrites, 404, 410) are not redirects
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Apache status keywords of Redirect lines
+const APACHE_STATUSES = { permanent: 301, temp: 302, seeother: 303, gone: 410 };
+
+// The status a Redirect or RedirectMatch argument names (a keyword or a number), or null for a path or URL
+function apacheStatus(word) {
+  const keyword = String(word || '').toLowerCase();
+  if (APACHE_STATUSES[keyword]) return APACHE_STATUSES[keyword];
+  return /^\d{3}$/.test(keyword) ? Number(keyword) : null;
+}
+
+// Netlify conditions that are not query parameters
+const NETLIFY_CONDITIONS = ['country', 'language', 'role', 'cookie'];
+
+// Split a config line into words, keeping quoted arguments together
+function splitWords(line) {
+  const words = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    words.push(match[3] !== undefined ? match[3] : (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1'));
+  }
+  return words;
+}
+
+// The path a regex pattern matches when it is a plain anchored path like ^/?old/page\.html/?$, or null; an
+// optional trailing slash is dropped since redirect sources are compared without one
+function literalPattern(pattern) {
+  const match = /^\^(\/\?|\/)?(.*?)(?:\/\?)?(\(\?:\\\?\.\*\)\?)?\$$/.exec(pattern);
+  if (!match) {
+    return null;
+  }
+
+  // Unescaped dots are almost always meant literally; any other operator makes it a real pattern
+  const body = match[2];
+  if (/(^|[^\\])[*+?()[\]{}|^$]/.test(body)) {
+    return null;
+  }
+  return `/${body.replace(/\\x([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))).replace(/\\(.)/g, '$1')}`;
+}
+
+// The format of a redirect file, from its name or else its content: 'apache', 'nginx', 'netlify' or 'csv'
+function detectRedirectFormat(file, text) {
+  const name = path.basename(file).toLowerCase();
+  if (name === '.htaccess' || name.endsWith('.htaccess')) return 'apache';
+  if (name === '_redirects') return 'netlify';
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.conf')) {
+    return /^\s*(Redirect\w*|RewriteRule)\s/mi.test(text) ? 'apache' : 'nginx';
+  }
+
+  if (/^\s*(Redirect\w*|RewriteRule)\s/mi.test(text)) return 'apache';
+  if (/\b(map\s+\$\w+\s+\$\w+\s*\{|location\s[^{]*\{|rewrite\s+\S+\s+\S+\s+(permanent|redirect)\s*;)/.test(text)) return 'nginx';
+  const firstRule = text.split(/\r?\n/).map(line => line.trim()).find(line => line && !line.startsWith('#')) || '';
+  return /^\/\S*\s+\S+/.test(firstRule) && !firstRule.includes(',') ? 'netlify' : 'csv';
+}
+
+// Read Apache .htaccess or server config redirects
+function parseApache(text, name) {
+  const redirects = [];
+  const skipped = [];
+  let conditions = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const origin = `${name}:${index + 1}`;
+    const words = splitWords(line.trim());
+    if (words.length === 0 || words[0].startsWith('#')) return;
+    const directive = words[0].toLowerCase();
+
+    if (directive === 'redirect' || directive === 'redirectpermanent' || directive === 'redirecttemp') {
+      let args = words.slice(1);
+      let status = directive === 'redirecttemp' ? 302 : 301;
+      // "Redirect gone /old" and "Redirect 410 /old" have no target
+      if (directive === 'redirect' && apacheStatus(args[0])) {
+        status = apacheStatus(args[0]);
+        args = args.slice(1);
+      }
+      if (!REDIRECT_STATUSES.includes(status) || args.length < 2) {
+        skipped.push({ origin, text: line.trim(), reason: `not a redirect (status ${status}${args.length < 2 ? ', no target' : ''})` });
+        return;
+      }
+      redirects.push({ oldURL: args[0], newURL: args[1], status, origin, prefix: true });
+    } else if (directive === 'redirectmatch') {
+      let args = words.slice(1);
+      let status = 302;
+      if (apacheStatus(args[0])) {
+        status = apacheStatus(args[0]);
+        args = args.slice(1);
+      }
+      if (!REDIRECT_STATUSES.includes(status) || args.length < 2) {
+        skipped.push({ origin, text: line.trim(), reason: `not a redirect (status ${status}${args.length < 2 ? ', no target' : ''})` });
+        return;
+      }
+      const source = literalPattern(args[0]);
+      if (!source || /\$\d/.test(args[1])) {
+        skipped.push({ origin, text: line.trim(), reason: 'regular expression' });
+        return;
+      }
+      redirects.push({ oldURL: source, newURL: args[1], status, origin });
+    } else if (directive === 'rewritecond') {
+      conditions.push({ variable: words[1] || '', pattern: words[2] || '' });
+    } else if (directive === 'rewriterule') {
+      const ruleConditions = conditions;
+      conditions = [];
+      const [, pattern = '', target = '', flagList = ''] = words;
+      const flags = flagList.replace(/^\[|\]$/g, '').split(',').map(flag => flag.trim().toLowerCase());
+      const redirectFlag = flags.find(flag => flag === 'r' || flag.startsWith('r='));
+      if (!redirectFlag || target === '-') return;
+
+      const status = redirectFlag === 'r' ? 302 : apacheStatus(redirectFlag.slice(2));
+      if (!REDIRECT_STATUSES.includes(status)) {
+        skipped.push({ origin, text: line.trim(), reason: `not a redirect (status ${status})` });
+        return;
+      }
+      const source = literalPattern(pattern);
+      const query = ruleConditions.map(({ variable, pattern: conditionPattern }) =>
+        variable.toUpperCase() === '%{QUERY_STRING}' ? literalPattern(`^/${conditionPattern.replace(/^\^/, '')}`) : null);
+      if (!source || /\$\d|%\d/.test(target) || query.some(value => value === null)) {
+        skipped.push({ origin, text: line.trim(), reason: query.some(value => value === null) ? 'condition other than a literal query string' : 'regular expression' });
+        return;
+      }
+      const oldURL = query.length > 0 ? `${source}?${query[0].slice(1)}` : source;
+      redirects.push({ oldURL, newURL: target.replace(/\\(.)/g, '$1'), status, origin });
+    }
+  });
+
+  return { redirects, skipped };
+}
+
+// Split nginx config into statements: { words, line, opens } where opens marks a block header and a
+// statement of just "}" closes a block
+function nginxStatements(text) {
+  const statements = [];
+  let words = [];
+  let word = '';
+  let quote = '';
+  let line = 1;
+  let startLine = 1;
+
+  const endWord = () => {
+    if (word) {
+      words.push(word);
+      word = '';
+    }
+  };
+  const endStatement = opens => {
+    endWord();
+    statements.push({ words, line: startLine, opens });
+    words = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n') line++;
+    if (quote) {
+      if (ch === '\\' && i + 1 < text.length) {
+        word += text[++i];
+      } else if (ch === quote) {
+        quote = '';
+        words.push(word);
+        word = '';
+      } else {
+        word += ch;
+      }
+    } else if (ch === '"' || ch === "'") {
+      if (!word && words.length === 0) startLine = line;
+      quote = ch;
+    } else if (ch === '#') {
+      while (i + 1 < text.length && text[i + 1] !== '\n') i++;
+    } else if (/\s/.test(ch)) {
+      endWord();
+    } else if (ch === ';') {
+      endStatement(false);
+    } else if (ch === '{') {
+      endStatement(true);
+    } else if (ch === '}') {
+      endWord();
+      if (words.length > 0) endStatement(false);
+      statements.push({ words: ['}'], line, opens: false });
+    } else {
+      if (!word && words.length === 0) startLine = line;
+      word += ch;
+    }
+  }
+  return statements;
+}
+
+// Read nginx redirects
+function parseNginx(text, name) {
+  const redirects = [];
+  const skipped = [];
+  const blocks = [];
+
+  nginxStatements(text).forEach(({ words, line, opens }) => {
+    const origin = `${name}:${line}`;
+    const statementText = words.join(' ');
+    if (opens) {
+      blocks.push(words);
+      return;
+    }
+    if (words[0] === '}') {
+      blocks.pop();
+      return;
+    }
+
+    const block = blocks[blocks.length - 1] || [];
+    if (block[0] === 'map') {
+      const [key, value] = words;
+      if (words.length < 2 || ['default', 'hostnames', 'include', 'volatile'].includes(key)) return;
+      if (key.startsWith('~')) {
+        skipped.push({ origin, text: statementText, reason: 'regular expression' });
+        return;
+      }
+      redirects.push({ oldURL: key, newURL: value, status: 301, origin });
+    } else if (words[0] === 'return' && REDIRECT_STATUSES.includes(Number(words[1])) && words[2]) {
+      if (block[0] !== 'location') return;
+      if (block[1] === '=' && block[2]) {
+        redirects.push({ oldURL: block[2], newURL: words[2], status: Number(words[1]), origin });
+      } else {
+        skipped.push({ origin, text: `${block.join(' ')} { ${statementText}; }`, reason: block[1] && block[1].startsWith('~') ? 'regular expression' : 'prefix location' });
+      }
+    } else if (words[0] === 'rewrite' && words.length >= 3) {
+      const flag = words[3] || '';
+      if (flag !== 'permanent' && flag !== 'redirect' && !/^https?:\/\//i.test(words[2])) return;
+      const source = literalPattern(words[1]);
+      if (!source || /\$\d/.test(words[2])) {
+        skipped.push({ origin, text: statementText, reason: 'regular expression' });
+        return;
+      }
+      redirects.push({ oldURL: source, newURL: words[2], status: flag === 'permanent' ? 301 : 302, origin });
+    }
+  });
+
+  return { redirects, skipped };
+}
+
+// Read Netlify _redirects rules
+function parseNetlify(text, name) {
+  const redirects = [];
+  const skipped = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const origin = `${name}:${index + 1}`;
+    const words = line.replace(/(^|\s)#.*$/, '').trim().split(/\s+/).filter(word => word);
+    if (words.length < 2) return;
+
+    const [from, ...rest] = words;
+    const toIndex = rest.findIndex(word => /^(\/|https?:\/\/)/i.test(word));
+    if (toIndex < 0) {
+      skipped.push({ origin, text: line.trim(), reason: 'no target' });
+      return;
+    }
+    const to = rest[toIndex];
+    const params = rest.slice(0, toIndex);
+    const statusWord = rest.slice(toIndex + 1).find(word => /^\d{3}!?$/.test(word));
+    const status = statusWord ? Number(statusWord.replace('!', '')) : 301;
+    if (!REDIRECT_STATUSES.includes(status)) return;
+
+    if (rest.some(word => NETLIFY_CONDITIONS.includes(word.split('=')[0].toLowerCase()))) {
+      skipped.push({ origin, text: line.trim(), reason: 'condition other than a query parameter' });
+      return;
+    }
+
+    // "/blog/* /news/:splat" sends every page below /blog/ to the same page below /news/
+    if (from.endsWith('/*') && !from.slice(0, -1).includes('*') && !from.includes(':') && to.endsWith('/:splat') && params.length === 0) {
+      redirects.push({ oldURL: from.slice(0, -1), newURL: to.slice(0, -':splat'.length), status, origin, prefix: true });
+      return;
+    }
+    if (from.includes('*') || from.includes(':') || to.includes(':splat')) {
+      skipped.push({ origin, text: line.trim(), reason: 'placeholders' });
+      return;
+    }
+
+    const query = params.join('&');
+    redirects.push({ oldURL: query ? `${from}?${query}` : from, newURL: to, status, origin });
+  });
+
+  return { redirects, skipped };
+}
+
+// Read a file of existing redirects in any supported format
+// Returns { format, redirects, skipped } with redirects { oldURL, newURL, status, origin, prefix } and
+// skipped { origin, text, reason }
+function readRedirectFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Redirect file not found: ${file}`);
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  const name = path.basename(file);
+  const format = detectRedirectFormat(file, text);
+
+  if (format === 'csv') {
+    const redirects = readMappingFile(file).map(({ oldURL, newURL }) => ({ oldURL, newURL, status: 301, origin: name }));
+    return { format, redirects, skipped: [] };
+  }
+
+  const parse = { apache: parseApache, nginx: parseNginx, netlify: parseNetlify }[format];
+  return { format, ...parse(text, name) };
+}
+
+module.exports = {
+  detectRedirectFormat,
+  parseApache,
+  parseNginx,
+  parseNetlify,
+  readRedirectFile
+};
@@ -0,0 +1,132 @@
+/**
+ * Redirect lint
+ *
+ * Checks the redirects a site already serves (see lib/redirect-import.js) together with a new
+ * mapping, and merges both into one de-duplicated set. Issues, one row each:
+ *
+ *  - shadows_live_page: the source is a live page in the new URL list, so the redirect would hide it
+ *    (the rule is dropped from the merged set)
+ *  - conflicting_targets: the same source is sent to different targets; the rule kept is a manual
+ *    override, else one whose target is live, else the existing rule. An existing prefix rule
+ *    (Apache Redirect, Netlify /a/*) that sends a mapped URL elsewhere is reported too; the merged
+ *    set lists single redirects before prefix rules so the mapped one wins
+ *  - redundant: an exact duplicate, or a mapped redirect an existing prefix rule already makes
+ *    (dropped from the merged set)
+ *  - target_not_in_new_urls: the target is not a page in the new URL list (kept)
+ */
+
+// Issue kinds, in report order
+const ISSUES = ['shadows_live_page', 'conflicting_targets', 'redundant', 'target_not_in_new_urls'];
+
+// Issues that mean the merged set should not be deployed as it is
+const BLOCKING_ISSUES = ['shadows_live_page', 'conflicting_targets'];
+
+// The path of a URL below a prefix rule's source, or null when the rule does not cover it; like Apache's
+// Redirect, a prefix only matches whole path segments
+function remainderBelow(prefixKey, urlKey) {
+  const base = prefixKey.replace(/\/+$/, '');
+  if (urlKey === base) return '';
+  return urlKey.startsWith(`${base}/`) ? urlKey.slice(base.length + 1) : null;
+}
+
+// Lint and merge existing redirects with a mapping
+// existing: imported redirects { oldURL, newURL, origin, prefix }; mapping: url-mapping.csv rows
+// { oldURL, newURL, matchType, similarity } with an origin; newURLs: the new site's URLs; key: the mapper's key()
+// Returns { issues, merged, counts } where merged rows are { oldURL, newURL, matchType, similarity, origin, prefix }
+function lintRedirects({ existing = [], mapping = [], newURLs = [], key }) {
+  const live = new Set(newURLs.map(url => key(url)));
+  live.add(key('/'));
+  const issues = [];
+  const report = (issue, rule, other, details = '') => issues.push({
+    issue,
+    oldURL: rule.oldURL,
+    newURL: rule.newURL,
+    origin: rule.origin,
+    otherURL: other ? other.newURL : '',
+    otherOrigin: other ? other.origin : '',
+    details
+  });
+
+  const rules = [
+    ...existing.map(redirect => ({
+      ...redirect,
+      matchType: redirect.prefix ? 'existing_prefix_redirect' : 'existing_redirect',
+      similarity: '',
+      existing: true
+    })),
+    ...mapping.map(row => ({ ...row, existing: false }))
+  ];
+
+  // Redirects from live pages hide them; prefix rules are only reported when their own source is live
+  const kept = rules.filter(rule => {
+    if (!live.has(key(rule.oldURL))) return true;
+    report('shadows_live_page', rule, null, 'the source is a page in the new URL list');
+    return false;
+  });
+
+  // One rule per source: duplicates are redundant, different targets conflict
+  const bySource = new Map();
+  kept.forEach(rule => {
+    const sourceKey = `${rule.prefix ? 'prefix ' : ''}${key(rule.oldURL)}`;
+    if (!bySource.has(sourceKey)) bySource.set(sourceKey, []);
+    bySource.get(sourceKey).push(rule);
+  });
+
+  const rank = rule => [rule.matchType === 'manual_override', live.has(key(rule.newURL)), rule.existing]
+    .reduce((total, value) => total * 2 + (value ? 1 : 0), 0);
+  const winners = [];
+  bySource.forEach(group => {
+    const winner = group.reduce((best, rule) => (rank(rule) > rank(best) ? rule : best));
+    winners.push(winner);
+    group.filter(rule => rule !== winner).forEach(rule => {
+      if (key(rule.newURL) === key(winner.newURL)) {
+        report('redundant', rule, winner, winner.existing ? 'duplicates an existing redirect' : 'duplicates another redirect');
+      } else {
+        report('conflicting_targets', rule, winner, `${winner.origin} is kept (${winner.matchType})`);
+      }
+    });
+  });
+
+  // Mapped redirects below an existing prefix rule; Apache applies the first matching Redirect line
+  const prefixRules = winners.filter(rule => rule.prefix);
+  const merged = winners.filter(rule => {
+    if (rule.existing || rule.prefix) return true;
+    const ruleKey = key(rule.oldURL);
+    const covering = prefixRules.find(prefix => remainderBelow(key(prefix.oldURL), ruleKey) !== null);
+    if (!covering) return true;
+
+    const remainder = remainderBelow(key(covering.oldURL), ruleKey);
+    const prefixTarget = remainder ? `${covering.newURL.replace(/\/+$/, '')}/${remainder}` : covering.newURL;
+    if (key(prefixTarget) === key(rule.newURL)) {
+      report('redundant', rule, { ...covering, newURL: prefixTarget }, `already redirected by the prefix rule ${covering.oldURL}`);
+      return false;
+    }
+    report('conflicting_targets', rule, { ...covering, newURL: prefixTarget },
+      `the prefix rule ${covering.oldURL} also matches; place this redirect before it`);
+    return true;
+  });
+  merged.sort((a, b) => Number(Boolean(a.prefix)) - Number(Boolean(b.prefix)));
+
+  // Targets that are not live pages; a chain through another merged redirect is pointed out
+  const mergedBySource = new Map(merged.filter(rule => !rule.prefix).map(rule => [key(rule.oldURL), rule]));
+  merged.filter(rule => !rule.prefix && !live.has(key(rule.newURL))).forEach(rule => {
+    const found = mergedBySource.get(key(rule.newURL));
+    const next = found !== rule ? found : null;
+    report('target_not_in_new_urls', rule, next, next ? `redirected again by ${next.origin}` : '');
+  });
+
+  issues.sort((a, b) => ISSUES.indexOf(a.issue) - ISSUES.indexOf(b.issue));
+  const counts = Object.fromEntries(ISSUES.map(issue => [issue, issues.filter(row => row.issue === issue).length]));
+  return {
+    issues,
+    merged: merged.map(({ oldURL, newURL, matchType, similarity, origin, prefix }) =>
+      ({ oldURL, newURL, matchType, similarity, origin, prefix: Boolean(prefix) })),
+    counts
+  };
+}
+
+module.exports = {
+  ISSUES,
+  BLOCKING_ISSUES,
+  lintRedirects
+};
@@ -0,0 +1,237 @@
+/**
+ * Review web UI
+ *
+ * A small local HTTP server for signing off redirects in the browser. It serves one page
+ * (lib/review-ui.html, with its styles and script inline, so it works offline) and a JSON
+ * API. Approving, retargeting or rejecting a row is saved to the overrides file straight
+ * away and the output mapping CSV is rewritten to match.
+ *
+ * The server listens on localhost only, and the API only accepts JSON POSTs, which other
+ * web pages cannot send cross-origin without a preflight that is never answered. Requests
+ * whose Host header is not the address the server listens on are refused, so a page on a
+ * domain rebound to 127.0.0.1 (DNS rebinding) cannot read or change the mapping either.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { writeOverrides } = require('./overrides');
+const { writeMappingFile } = require('./writers');
+
+const PAGE_FILE = path.join(__dirname, 'review-ui.html');
+
+// Largest request body accepted by the API
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Names for the loopback interface, any of which a browser on this machine may send as the Host
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Error with an HTTP status, reported to the browser as JSON
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// True if two URLs are the same page by the mapper's key(), which would make a redirect loop
+function samePage(key, url1, url2) {
+  const [key1, key2] = [key(url1), key(url2)];
+  return key1 === key2 || `${key1}/` === key2 || key1 === `${key2}/`;
+}
+
+// The Host header values that address the server listening on host and port
+function allowedHosts(host, port) {
+  const name = host.includes(':') ? `[${host}]` : host.toLowerCase();
+  const names = LOOPBACK_HOSTS.includes(name) ? LOOPBACK_HOSTS : [name];
+  return new Set(names.map(hostName => `${hostName}:${port}`));
+}
+
+// Build the review rows from a mapping result: every redirect written, then every unmapped URL
+function buildRows(result) {
+  const rows = result.redirects.map(row => ({
+    auto: row,
+    decision: row.matchType === 'manual_override' ? 'approved' : null,
+    target: row.matchType === 'manual_override' ? row.newURL : ''
+  }));
+
+  result.unmapped.forEach(({ oldURL, reason, sku, hits }) => {
+    rows.push({
+      auto: { oldURL, newURL: '', oldName: '', newName: '', matchType: 'unmapped', similarity: '', breakdown: reason, sku, hits },
+      decision: reason === 'excluded' ? 'rejected' : null,
+      target: ''
+    });
+  });
+
+  return rows;
+}
+
+// The row as sent to the browser
+function toClientRow(row, id) {
+  const { auto } = row;
+  return {
+    id,
+    oldURL: auto.oldURL,
+    newURL: row.decision === 'approved' ? row.target : auto.newURL,
+    oldName: auto.oldName || '',
+    newName: auto.newName || '',
+    matchType: auto.matchType,
+    similarity: auto.similarity,
+    breakdown: auto.breakdown || '',
+    sku: auto.sku || '',
+    hits: auto.hits === undefined ? '' : auto.hits,
+    candidates: (auto.candidates || []).map(({ url, similarity, breakdown }) => ({ url, similarity, breakdown })),
+    decision: row.decision
+  };
+}
+
+// The mapping rows to write to the output file, with decisions applied
+function outputRows(rows) {
+  return rows
+    .filter(row => row.decision !== 'rejected')
+    .map(row => {
+      if (row.decision === 'approved') {
+        return { ...row.auto, newURL: row.target, matchType: 'manual_override', similarity: '1.00', breakdown: 'override' };
+      }
+      return row.auto;
+    })
+    .filter(row => row.newURL);
+}
+
+// Apply one decision from the browser and save it
+// state: { key, rows, overrides, overridesFile, outputFile }
+function decide(state, { id, action, newURL }) {
+  const row = Number.isInteger(id) ? state.rows[id] : undefined;
+  if (!row) {
+    throw new HttpError(404, `No row ${id}`);
+  }
+
+  const { oldURL } = row.auto;
+  let override = null;
+
+  if (action === 'approve' || action === 'retarget') {
+    const target = action === 'approve' ? (row.target || row.auto.newURL) : String(newURL || '').trim();
+    if (action === 'approve' && !target) {
+      throw new HttpError(400, 'This row has no new URL to approve; retarget it instead');
+    }
+    if (!/^(\/|https?:\/\/)\S*$/i.test(target)) {
+      throw new HttpError(400, 'The new URL must be a path starting with "/" or an http(s) URL');
+    }
+    if (samePage(state.key, oldURL, target)) {
+      throw new HttpError(400, 'The new URL is the same page as the old URL');
+    }
+    row.decision = 'approved';
+    row.target = target;
+    override = { oldURL, newURL: target, exclude: false };
+  } else if (action === 'reject') {
+    row.decision = 'rejected';
+    row.target = '';
+    override = { oldURL, newURL: '', exclude: true };
+  } else if (action === 'clear') {
+    row.decision = null;
+    row.target = '';
+  } else {
+    throw new HttpError(400, `Unknown action "${action}"`);
+  }
+
+  state.overrides = state.overrides.filter(existing => existing.oldURL !== oldURL);
+  if (override) {
+    state.overrides.push(override);
+  }
+
+  writeOverrides(state.overridesFile, state.overrides);
+  writeMappingFile(state.outputFile, outputRows(state.rows));
+  return row;
+}
+
+// Read a JSON request body
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+      reject(new HttpError(415, 'Expected a JSON request body'));
+      return;
+    }
+
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+// Send a JSON response
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  response.end(JSON.stringify(body));
+}
+
+// Start the review server for a mapping result, resolving with the listening http.Server
+// options: { host, port, overridesFile, outputFile, overrides, key } where key() is the mapper's, so loops are
+// judged the same way as when mapping
+function startReviewServer(result, options) {
+  const state = {
+    key: options.key,
+    rows: buildRows(result),
+    overrides: options.overrides.slice(),
+    overridesFile: options.overridesFile,
+    outputFile: options.outputFile
+  };
+  const page = fs.readFileSync(PAGE_FILE);
+  let hosts = new Set();
+
+  const server = http.createServer(async (request, response) => {
+    try {
+      if (!hosts.has(String(request.headers.host || '').toLowerCase())) {
+        throw new HttpError(403, `Unexpected Host header: ${request.headers.host || '(none)'}`);
+      }
+      const { pathname } = new URL(request.url, 'http://localhost');
+
+      if (request.method === 'GET' && pathname === '/') {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        response.end(page);
+      } else if (request.method === 'GET' && pathname === '/api/rows') {
+        sendJson(response, 200, {
+          rows: state.rows.map(toClientRow),
+          overridesFile: state.overridesFile,
+          outputFile: state.outputFile
+        });
+      } else if (request.method === 'POST' && pathname === '/api/decision') {
+        const body = await readJsonBody(request);
+        const row = decide(state, body);
+        sendJson(response, 200, { row: toClientRow(row, body.id) });
+      } else {
+        throw new HttpError(404, `Not found: ${request.method} ${pathname}`);
+      }
+    } catch (error) {
+      if (!response.headersSent) {
+        sendJson(response, error.status || 500, { error: error.message });
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      hosts = allowedHosts(options.host, server.address().port);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  startReviewServer
+};
@@ -0,0 +1,100 @@
+/**
+ * Interactive review
+ *
+ * Walks through uncertain matches in the terminal, showing the candidates found for each
+ * old URL. Every decision is written to the overrides file straight away, so a review can
+ * be stopped and resumed; the next "url-mapper map" run applies the decisions.
+ */
+
+const readline = require('readline');
+const { writeOverrides } = require('./overrides');
+
+const HELP = '[Enter] accept  [1-9] pick candidate  [/path or URL] type target  [s] skip  [x] exclude  [q] quit';
+
+// Show one match and its candidates
+function describeRow(row, index, total, maxCandidates, write) {
+  write(`\n(${index + 1}/${total}) ${row.oldURL}\n`);
+  write(`  Current: ${row.newURL} [${row.matchType} ${row.similarity}]${row.breakdown ? ` ${row.breakdown}` : ''}\n`);
+
+  (row.candidates || []).slice(0, maxCandidates).forEach((candidate, position) => {
+    const marker = candidate.url === row.newURL ? '*' : ' ';
+    write(`  ${marker}${position + 1}. ${candidate.url} (${candidate.similarity.toFixed(2)}) ${candidate.breakdown}\n`);
+  });
+}
+
+// Turn an answer into a decision: { action, newURL } or null if it is not understood
+function parseAnswer(answer, row, maxCandidates) {
+  const text = answer.trim();
+  const candidates = (row.candidates || []).slice(0, maxCandidates);
+
+  if (text === '' || text.toLowerCase() === 'a') return { action: 'accept', newURL: row.newURL };
+  if (text.toLowerCase() === 's') return { action: 'skip' };
+  if (text.toLowerCase() === 'x') return { action: 'exclude' };
+  if (text.toLowerCase() === 'q') return { action: 'quit' };
+  if (/^\d+$/.test(text) && candidates[Number(text) - 1]) {
+    return { action: 'pick', newURL: candidates[Number(text) - 1].url };
+  }
+  if (/^(\/|https?:\/\/)\S*$/i.test(text)) return { action: 'type', newURL: text };
+  return null;
+}
+
+// Review rows interactively, saving decisions to the overrides file
+// options: { file, overrides, maxCandidates, input, output }
+// Returns counts of each action taken
+async function reviewMatches(rows, { file, overrides, maxCandidates = 5, input = process.stdin, output = process.stdout }) {
+  const rl = readline.createInterface({ input, output, terminal: Boolean(input.isTTY) });
+  const lines = rl[Symbol.asyncIterator]();
+  const write = text => output.write(text);
+  const counts = { accept: 0, pick: 0, type: 0, skip: 0, exclude: 0 };
+  const saved = overrides.slice();
+
+  const save = (oldURL, entry) => {
+    const existing = saved.findIndex(override => override.oldURL === oldURL);
+    if (existing >= 0) {
+      saved[existing] = entry;
+    } else {
+      saved.push(entry);
+    }
+    writeOverrides(file, saved);
+  };
+
+  write(`${rows.length} matches to review. ${HELP}\n`);
+
+  try {
+    for (let index = 0; index < rows.length; index++) {
+      const row = rows[index];
+      describeRow(row, index, rows.length, maxCandidates, write);
+
+      let decision = null;
+      while (!decision) {
+        write('> ');
+        const { value, done } = await lines.next();
+        if (done) {
+          decision = { action: 'quit' };
+          break;
+        }
+        decision = parseAnswer(value, row, maxCandidates);
+        if (!decision) {
+          write(`  Not understood. ${HELP}\n`);
+        }
+      }
+
+      if (decision.action === 'quit') break;
+      counts[decision.action]++;
+
+      if (decision.action === 'exclude') {
+        save(row.oldURL, { oldURL: row.oldURL, newURL: '', exclude: true });
+      } else if (decision.action !== 'skip') {
+        save(row.oldURL, { oldURL: row.oldURL, newURL: decision.newURL, exclude: false });
+      }
+    }
+  } finally {
+    rl.close();
+  }
+
+  return counts;
+}
+
+module.exports = {
+  reviewMatches
+};
@@ -0,0 +1,156 @@
+/**
+ * Pattern rewrite rules
+ *
+ * Structural migrations (/blog/2019/05/slug -> /articles/slug) are described as an ordered
+ * list of rules, tried before SKU and name matching. A rule is either a path template or a
+ * regular expression matched against the old URL's path:
+ *
+ *   { "name": "blog", "from": "/blog/:year/:month/:slug", "to": "/articles/:slug" }
+ *   { "name": "shop", "regex": "^/shop/[^/]+/([^/]+)/?$", "to": "/products/$1" }
+ *
+ * In templates ":name" matches one path segment and a trailing "*" matches the rest of the
+ * path (":splat" in the target). Regex targets use $1, $2, ... for capture groups.
+ *
+ * Optional settings: ignoreCase (default false), requireTarget (default true: the rewritten
+ * URL must be in the new URL list) and emit (write the rule itself as a pattern redirect
+ * when exporting, instead of one redirect per URL).
+ */
+
+const { splitUrl } = require('./writers/common');
+
+// Escape a string for use as a literal inside a regular expression
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Turn a path template into a regex source and the names of its parameters, in order
+function compileTemplate(template) {
+  const params = [];
+  const parts = template.replace(/\/+$/, '').split('/');
+
+  const source = parts.map((part, index) => {
+    if (part === '*' && index === parts.length - 1) {
+      params.push('splat');
+      return '(.*)';
+    }
+    const param = part.match(/^:([A-Za-z_]\w*)$/);
+    if (param) {
+      params.push(param[1]);
+      return '([^/]+)';
+    }
+    return escapeRegex(part);
+  }).join('/');
+
+  return { source: `^${source}/?$`, params };
+}
+
+// Compile the rewriteRules setting into rules with a RegExp and a $N-style target
+function compileRewriteRules(rules = []) {
+  return rules.map((rule, index) => {
+    const name = rule.name || rule.from || rule.regex || `rule ${index + 1}`;
+    const flags = rule.ignoreCase ? 'i' : '';
+    let source;
+    let target = rule.to;
+    let template = null;
+
+    if (rule.from) {
+      const compiled = compileTemplate(rule.from);
+      source = compiled.source;
+      target = rule.to.replace(/:([A-Za-z_]\w*)/g, (match, param) => {
+        const position = compiled.params.indexOf(param);
+        return position >= 0 ? `$${position + 1}` : match;
+      });
+      template = { from: rule.from, to: rule.to };
+    } else {
+      source = rule.regex;
+    }
+
+    return {
+      name,
+      source,
+      flags,
+      regex: new RegExp(source, flags),
+      target,
+      template,
+      ignoreCase: Boolean(rule.ignoreCase),
+      requireTarget: rule.requireTarget !== false,
+      emit: Boolean(rule.emit)
+    };
+  });
+}
+
+// Rewrite a path with a compiled rule, or return null if the rule does not match
+function applyRule(rule, path) {
+  const match = path.match(rule.regex);
+  if (!match) return null;
+  return rule.target.replace(/\$(\d+)/g, (_, group) => match[Number(group)] || '');
+}
+
+// True if a redirect is one the rule would produce, so the rule can replace it when exporting
+function coversRedirect(rule, redirect) {
+  if (redirect.sourceQuery) return false;
+  const rewritten = applyRule(rule, redirect.sourcePath);
+  return rewritten !== null && splitUrl(rewritten).pathname === splitUrl(redirect.target).pathname;
+}
+
+// Check the rewriteRules setting, returning a list of problems
+function validateRewriteRules(rules) {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const label = `"rewriteRules[${index}]"`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${label} must be an object with "from" or "regex" and "to"`);
+      return;
+    }
+
+    const unknown = Object.keys(rule).filter(key => !['name', 'from', 'regex', 'to', 'ignoreCase', 'requireTarget', 'emit'].includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${label} has unknown key(s) ${unknown.join(', ')}`);
+    }
+    if (Boolean(rule.from) === Boolean(rule.regex)) {
+      errors.push(`${label} needs exactly one of "from" (a path template) or "regex"`);
+    }
+    if (rule.from !== undefined && (typeof rule.from !== 'string' || !rule.from.startsWith('/'))) {
+      errors.push(`${label}.from must be a path template starting with "/"`);
+    }
+    if (typeof rule.to !== 'string' || !rule.to) {
+      errors.push(`${label}.to must be a non-empty string`);
+    }
+    if (rule.name !== undefined && typeof rule.name !== 'string') {
+      errors.push(`${label}.name must be a string`);
+    }
+    ['ignoreCase', 'requireTarget', 'emit'].forEach(key => {
+      if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+        errors.push(`${label}.${key} must be true or false`);
+      }
+    });
+
+    if (typeof rule.regex === 'string') {
+      try {
+        new RegExp(rule.regex);
+      } catch (error) {
+        errors.push(`${label}.regex is not a valid regular expression: ${error.message}`);
+      }
+    } else if (rule.regex !== undefined) {
+      errors.push(`${label}.regex must be a string`);
+    }
+
+    if (typeof rule.from === 'string' && typeof rule.to === 'string') {
+      const { params } = compileTemplate(rule.from);
+      const missing = (rule.to.match(/:[A-Za-z_]\w*/g) || []).map(param => param.slice(1)).filter(param => !params.includes(param));
+      if (missing.length > 0) {
+        errors.push(`${label}.to uses ${missing.map(param => `:${param}`).join(', ')}, which "from" does not define`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  compileRewriteRules,
+  applyRule,
+  coversRedirect,
+  validateRewriteRules
+};
@@ -0,0 +1,259 @@
+/**
+ * Run report
+ *
+ * Collects what a run produced (redirects, unmapped URLs and loops) as it is written, and
+ * summarises it as JSON: counts per match type, a similarity histogram, the unmapped, loop and
+ * low-confidence lists (most visited first when access logs were read), SKU coverage on both
+ * sides and the settings used. The lists are complete unless a limit is set, as streaming does
+ * to keep memory flat; then only that many rows of each are kept. The same summary renders as a
+ * single HTML page with its styles inline, to attach to a sign-off ticket; the JSON is meant for
+ * comparing runs and for scripts.
+ */
+
+// Width of a similarity histogram bucket
+const BUCKET_WIDTH = 0.1;
+
+// Rows sorted most visited first; rows with the same hits keep their order
+function byTraffic(rows) {
+  return rows.slice().sort((a, b) => (b.hits || 0) - (a.hits || 0));
+}
+
+// Add a row to a list holding at most limit rows, keeping the most visited (or, without hits, the first)
+// once it has grown to twice the limit
+function keepMostVisited(list, row, limit) {
+  list.push(row);
+  if (list.length >= limit * 2) {
+    const kept = byTraffic(list).slice(0, limit);
+    list.length = 0;
+    list.push(...kept);
+  }
+}
+
+class RunReport {
+  // options: { key } to compare new URLs, the low-confidence limit (mediumConfidenceThreshold) and the most
+  // rows kept of each list (all by default)
+  constructor({ key = url => url, lowConfidenceBelow = 0.6, limit = Infinity } = {}) {
+    this.key = key;
+    this.lowConfidenceBelow = lowConfidenceBelow;
+    this.limit = limit;
+    this.redirects = 0;
+    this.matchTypes = {};
+    this.histogram = Array.from({ length: Math.round(1 / BUCKET_WIDTH) }, () => 0);
+    this.skuMatches = 0;
+    this.targets = new Set();
+    this.unmapped = [];
+    this.loops = [];
+    this.lowConfidence = [];
+    this.counts = { unmapped: 0, loops: 0, lowConfidence: 0 };
+  }
+
+  // Count a redirect as written to the mapping file
+  addRedirect({ oldURL, newURL, matchType, similarity, breakdown, sku, hits }) {
+    this.redirects++;
+    this.matchTypes[matchType] = (this.matchTypes[matchType] || 0) + 1;
+    this.targets.add(this.key(newURL));
+    if (matchType.startsWith('sku_')) {
+      this.skuMatches++;
+    }
+
+    const score = parseFloat(similarity);
+    if (Number.isFinite(score)) {
+      this.histogram[Math.min(Math.floor(score / BUCKET_WIDTH + 1e-9), this.histogram.length - 1)]++;
+      if (score < this.lowConfidenceBelow) {
+        this.counts.lowConfidence++;
+        keepMostVisited(this.lowConfidence, { oldURL, newURL, matchType, similarity, breakdown: breakdown || '', sku: sku || '', hits }, this.limit);
+      }
+    }
+  }
+
+  // Record an old URL left without a target
+  addUnmapped({ oldURL, reason, sku, hits }) {
+    this.counts.unmapped++;
+    keepMostVisited(this.unmapped, { oldURL, reason, sku: sku || '', hits }, this.limit);
+  }
+
+  // Record a skipped loop; loops are listed in the order found
+  addLoop({ oldURL, newURL, reason, path, hits }) {
+    this.counts.loops++;
+    if (this.loops.length < this.limit) {
+      this.loops.push({ oldURL, newURL, reason, path: path || [], hits });
+    }
+  }
+
+  // The run summary
+  // run: { stats, newEntries, diff, accessLog, config } where stats is the mapper's run statistics, newEntries the
+  // normalised new site entries and accessLog what readAccessLogs() counted
+  summarize({ stats, newEntries, diff = null, accessLog = null, config }) {
+    const newWithSku = newEntries.filter(entry => entry.sku);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      files: { oldUrlsFile: config.oldUrlsFile, newUrlsFile: config.newUrlsFile, outputFile: config.outputFile },
+      counts: {
+        oldUrls: stats.oldUrls,
+        newUrls: newEntries.length,
+        redirects: this.redirects,
+        mapped: stats.mapped,
+        fallbacks: stats.fallbacks,
+        categories: stats.categories,
+        unmapped: this.counts.unmapped,
+        loops: this.counts.loops,
+        cycles: stats.cycles,
+        flattened: stats.flattened,
+        // Only one-to-one assignment moves matches, and it cannot be combined with streaming
+        reassigned: config.assignment === 'one-to-one' ? stats.reassigned : null,
+        lowConfidence: this.counts.lowConfidence
+      },
+      matchTypes: Object.fromEntries(Object.entries(this.matchTypes).sort((a, b) => b[1] - a[1])),
+      similarityHistogram: this.histogram.map((count, index) => ({
+        from: Number((index * BUCKET_WIDTH).toFixed(2)),
+        to: Number(((index + 1) * BUCKET_WIDTH).toFixed(2)),
+        count
+      })),
+      skuCoverage: {
+        old: { urls: stats.oldUrls, withSku: stats.oldWithSku, matchedBySku: this.skuMatches },
+        new: {
+          urls: newEntries.length,
+          withSku: newWithSku.length,
+          receivingRedirects: newWithSku.filter(entry => this.targets.has(this.key(entry.url))).length
+        }
+      },
+      diff: diff ? { counts: diff.counts, approvedChanges: diff.approvedChanges } : null,
+      accessLog,
+      totalMs: Math.round(stats.totalMs),
+      unmapped: byTraffic(this.unmapped).slice(0, this.limit),
+      loops: this.loops,
+      lowConfidence: byTraffic(this.lowConfidence).slice(0, this.limit),
+      config
+    };
+  }
+}
+
+// Escape text for HTML
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Percentage of a part, or '' without a total
+function percent(part, total) {
+  return total ? `${Math.round(part / total * 100)}%` : '';
+}
+
+// A table with a header row; cells are escaped, except those given as { html }
+function table(header, rows) {
+  const cell = value => (value && typeof value === 'object' ? value.html : escapeHtml(value));
+  return `<table><thead><tr>${header.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(value => `<td>${cell(value)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+// A horizontal bar for a share of the largest value
+function bar(count, largest) {
+  return { html: `<span class="bar" style="width:${largest ? Math.round(count / largest * 100) : 0}%"></span> ${count}` };
+}
+
+// A list that may be long, collapsed when it has many rows; total is the count before any limit
+function listSection(title, header, rows, total = rows.length) {
+  if (rows.length === 0) {
+    return `<h2>${escapeHtml(title)}</h2><p class="muted">None.</p>`;
+  }
+  const shown = rows.length < total ? `${rows.length} of ${total}` : `all ${rows.length}`;
+  return `<h2>${escapeHtml(title)} (${total})</h2><details${rows.length <= 50 ? ' open' : ''}>` +
+    `<summary>Show ${shown}</summary>${table(header, rows)}</details>`;
+}
+
+// Render a summarize() result as a self-contained HTML page
+function renderReport(summary) {
+  const { counts, matchTypes, similarityHistogram, skuCoverage, diff } = summary;
+  const withHits = Boolean(summary.accessLog);
+  const hitsColumn = row => (withHits ? [row.hits] : []);
+  const largestType = Math.max(0, ...Object.values(matchTypes));
+  const largestBucket = Math.max(0, ...similarityHistogram.map(bucket => bucket.count));
+
+  const cards = [
+    ['Old URLs', counts.oldUrls],
+    ['Redirects', counts.redirects],
+    ['Mapped', counts.mapped],
+    ['Fallbacks', counts.fallbacks],
+    ['Unmapped', counts.unmapped],
+    ['Loops skipped', counts.loops],
+    ['Low confidence', counts.lowConfidence]
+  ].map(([label, value]) => `<div class="card"><div class="value">${escapeHtml(value)}</div>${escapeHtml(label)}</div>`).join('');
+
+  const sections = [
+    `<h2>Match types</h2>${table(['Match type', 'Redirects', 'Share'],
+      Object.entries(matchTypes).map(([type, count]) => [type, bar(count, largestType), percent(count, counts.redirects)]))}`,
+    `<h2>Similarity</h2>${table(['Similarity', 'Redirects'],
+      similarityHistogram.map(({ from, to, count }) => [`${from.toFixed(1)} – ${to.toFixed(1)}`, bar(count, largestBucket)]).reverse())}`,
+    `<h2>SKU coverage</h2>${table(['Site', 'URLs', 'With a SKU', 'Matched by SKU / receiving a redirect'], [
+      ['Old', skuCoverage.old.urls, `${skuCoverage.old.withSku} (${percent(skuCoverage.old.withSku, skuCoverage.old.urls)})`,
+        `${skuCoverage.old.matchedBySku} matched by SKU (${percent(skuCoverage.old.matchedBySku, skuCoverage.old.withSku)})`],
+      ['New', skuCoverage.new.urls, `${skuCoverage.new.withSku} (${percent(skuCoverage.new.withSku, skuCoverage.new.urls)})`,
+        `${skuCoverage.new.receivingRedirects} receiving a redirect (${percent(skuCoverage.new.receivingRedirects, skuCoverage.new.withSku)})`]
+    ])}`
+  ];
+
+  if (summary.accessLog) {
+    const { lines, requests, bots, assets, otherMethods, unparsed, redirected, belowMinHits } = summary.accessLog;
+    sections.push(`<h2>Access logs</h2>${table(['Lines read', 'Page requests', 'Bots', 'Assets', 'Other methods', 'Unreadable', 'URLs already redirected', 'URLs below the minimum hits'],
+      [[lines, requests, bots, assets, otherMethods, unparsed, redirected, belowMinHits]])}`);
+  }
+
+  if (diff) {
+    sections.push(`<h2>Changes since the previous mapping</h2>${table(['Change', 'Rows'],
+      Object.entries(diff.counts).map(([change, count]) => [change.replace(/_/g, ' '), count]))}` +
+      (diff.approvedChanges > 0 ? `<p class="warning">${diff.approvedChanges} changes affect approved redirects.</p>` : ''));
+  }
+
+  sections.push(
+    listSection('Low-confidence redirects', ['Old URL', 'New URL', 'Match type', 'Similarity', 'Breakdown', ...(withHits ? ['Hits'] : [])],
+      summary.lowConfidence.map(row => [row.oldURL, row.newURL, row.matchType, row.similarity, row.breakdown, ...hitsColumn(row)]),
+      counts.lowConfidence),
+    listSection('Unmapped URLs', ['Old URL', 'Reason', 'SKU', ...(withHits ? ['Hits'] : [])],
+      summary.unmapped.map(row => [row.oldURL, row.reason, row.sku, ...hitsColumn(row)]), counts.unmapped),
+    listSection('Skipped loops', ['Old URL', 'New URL', 'Reason', 'Path'],
+      summary.loops.map(row => [row.oldURL, row.newURL, row.reason, row.path.join(' → ')]), counts.loops),
+    `<h2>Settings</h2><details><summary>Show the configuration used</summary><pre>${escapeHtml(JSON.stringify(summary.config, null, 2))}</pre></details>`
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>URL mapping report</title>
+<!-- Written by "url-mapper map". Everything is inline so the file can be attached and opened anywhere. -->
+<style>
+  body { font: 14px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 0 auto; padding: 20px; max-width: 1200px; color: #1d2125; background: #f6f7f9; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; }
+  .muted { color: #6b7580; }
+  .warning { color: #8a1c1c; }
+  .cards { display: flex; flex-wrap: wrap; gap: 10px; margin-top: 16px; }
+  .card { background: #fff; border: 1px solid #d8dde3; border-radius: 6px; padding: 10px 14px; min-width: 110px; color: #56606b; }
+  .card .value { font-size: 22px; font-weight: 600; color: #1d2125; }
+  table { width: 100%; border-collapse: collapse; background: #fff; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #e6e9ed; vertical-align: top; word-break: break-all; }
+  th { background: #eef1f4; white-space: nowrap; word-break: normal; }
+  .bar { display: inline-block; height: 10px; min-width: 1px; background: #5b8def; vertical-align: middle; max-width: 70%; }
+  summary { cursor: pointer; margin-bottom: 6px; }
+  pre { background: #fff; border: 1px solid #d8dde3; padding: 10px; overflow: auto; }
+</style>
+</head>
+<body>
+<h1>URL mapping report</h1>
+<div class="muted">${escapeHtml(summary.files.oldUrlsFile)} → ${escapeHtml(summary.files.newUrlsFile)}, generated ${escapeHtml(summary.generatedAt)} in ${(summary.totalMs / 1000).toFixed(1)}s</div>
+<div class="cards">${cards}</div>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  RunReport,
+  renderReport
+};
@@ -0,0 +1,215 @@
+/**
+ * Product similarity scoring
+ *
+ * Scores old/new product pairs in two parts:
+ *
+ *  - Name score: 1.0 when the names have the same words, 0.9 when one name's words appear
+ *    in order inside the other's, otherwise the overlap of their words weighted by rarity
+ *    (a shared brand or model word counts for more than "tape"). Words are lowercased,
+ *    stop words are dropped and synonyms are mapped to one canonical word first.
+ *  - Attributes: sizes, dimensions, colours and pack quantities are read from the full URL
+ *    slug. When both products state an attribute and the values disagree, the score is
+ *    multiplied by attributeMismatchPenalty (or the pair is rejected with
+ *    requireAttributeMatch).
+ *
+ * Each score comes with a breakdown so reviewers can see why a match was chosen.
+ */
+
+// Units that follow a number in a slug, mapped to one spelling
+const UNITS = {
+  mm: 'mm', cm: 'cm', m: 'm', in: 'in', inch: 'in', inches: 'in', ft: 'ft',
+  yd: 'yd', yds: 'yd', yard: 'yd', yards: 'yd', oz: 'oz', lb: 'lb', lbs: 'lb',
+  gal: 'gal', mil: 'mil', ml: 'ml', l: 'l', kg: 'kg', g: 'g', pt: 'pt', qt: 'qt'
+};
+
+const COLOURS = [
+  'black', 'white', 'red', 'blue', 'green', 'yellow', 'orange', 'purple', 'pink', 'brown',
+  'tan', 'clear', 'gray', 'grey', 'silver', 'gold', 'beige', 'natural', 'kraft'
+];
+
+const QUANTITY_WORDS = 'pack|pk|count|ct|pcs|pieces|rolls|case';
+
+const UNIT_PATTERN = Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|');
+const NUMBER = '\\d+(?:\\.\\d+)?';
+const MEASURE = `${NUMBER}(?:-?(?:${UNIT_PATTERN}))?`;
+const DIMENSION_RE = new RegExp(`(?:^|-)(${MEASURE}(?:-?x-?${MEASURE})+)(?=-|$)`, 'g');
+const SIZE_RE = new RegExp(`(?:^|-)(${NUMBER})-?(${UNIT_PATTERN})(?=-|$)`, 'g');
+const QUANTITY_RE = new RegExp(`(?:^|-)(?:(\\d+)-?(?:${QUANTITY_WORDS})|(?:pack|case|box)-of-(\\d+))(?=-|$)`, 'g');
+
+// Human-readable names for attribute kinds, used in score breakdowns
+const ATTRIBUTE_LABELS = {
+  dimensions: 'dimensions',
+  sizes: 'size',
+  colours: 'colour',
+  quantities: 'quantity'
+};
+
+// Read sizes, dimensions, colours and pack quantities from a URL slug
+function extractAttributes(slug) {
+  const text = String(slug || '').toLowerCase();
+  const attributes = { dimensions: [], sizes: [], colours: [], quantities: [] };
+
+  // Dimensions first, so their parts are not counted again as single sizes
+  let remaining = text.replace(DIMENSION_RE, (match, dimension) => {
+    const numbers = dimension.match(new RegExp(NUMBER, 'g'));
+    attributes.dimensions.push(numbers.map(Number).join('x'));
+    return '-';
+  });
+
+  remaining = remaining.replace(QUANTITY_RE, (match, count, packOf) => {
+    attributes.quantities.push(String(Number(count || packOf)));
+    return '-';
+  });
+
+  remaining.replace(SIZE_RE, (match, value, unit) => {
+    attributes.sizes.push(`${Number(value)}${UNITS[unit]}`);
+    return match;
+  });
+
+  const words = new Set(text.split('-'));
+  attributes.colours = COLOURS.filter(colour => words.has(colour)).map(colour => (colour === 'grey' ? 'gray' : colour));
+
+  Object.keys(attributes).forEach(kind => {
+    attributes[kind] = [...new Set(attributes[kind])].sort();
+  });
+
+  return attributes;
+}
+
+class SimilarityModel {
+  // options: { stopWords, synonyms, attributeMismatchPenalty, requireAttributeMatch }
+  constructor({ stopWords = [], synonyms = {}, attributeMismatchPenalty = 0.5, requireAttributeMatch = false } = {}) {
+    this.stopWords = new Set(stopWords.map(word => word.toLowerCase()));
+    this.canonical = new Map();
+    Object.entries(synonyms).forEach(([word, variants]) => {
+      const list = Array.isArray(variants) ? variants : String(variants).split(',');
+      list.forEach(variant => this.canonical.set(variant.trim().toLowerCase(), word.toLowerCase()));
+    });
+    this.attributeMismatchPenalty = attributeMismatchPenalty;
+    this.requireAttributeMatch = requireAttributeMatch;
+    this.documentFrequency = new Map();
+    this.documentCount = 0;
+    this.tokenCache = new Map();
+  }
+
+  // Canonical words of a name: lowercased, without stop words, with synonyms replaced
+  tokens(name) {
+    let tokens = this.tokenCache.get(name);
+    if (!tokens) {
+      tokens = String(name || '')
+        .toLowerCase()
+        .split('-')
+        .filter(word => word && !this.stopWords.has(word))
+        .map(word => this.canonical.get(word) || word);
+      this.tokenCache.set(name, tokens);
+    }
+    return tokens;
+  }
+
+  // Learn word rarity from the names on the new site
+  fit(names) {
+    this.documentCount = names.length;
+    this.documentFrequency = new Map();
+    names.forEach(name => {
+      new Set(this.tokens(name)).forEach(token => {
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      });
+    });
+    return this;
+  }
+
+  // Weight of a word: rare words weigh more; words never seen on the new site count as rarest
+  weight(token) {
+    const frequency = this.documentFrequency.get(token) || 1;
+    return Math.log(1 + this.documentCount / frequency) || 1;
+  }
+
+  // Score two product names (without attributes), returning the score and how it was reached
+  nameScore(name1, name2) {
+    if (!name1 || !name2) return { score: 0, method: 'none', shared: [] };
+
+    const tokens1 = this.tokens(name1);
+    const tokens2 = this.tokens(name2);
+    const sequence1 = tokens1.join('-');
+    const sequence2 = tokens2.join('-');
+
+    if (sequence1 === sequence2 && (sequence1 || name1.toLowerCase() === name2.toLowerCase())) {
+      return { score: 1.0, method: 'same words', shared: [...new Set(tokens1)] };
+    }
+
+    if (sequence1 && sequence2 && (`-${sequence1}-`.includes(`-${sequence2}-`) || `-${sequence2}-`.includes(`-${sequence1}-`))) {
+      const shorter = sequence1.length < sequence2.length ? tokens1 : tokens2;
+      return { score: 0.9, method: 'contained', shared: [...new Set(shorter)] };
+    }
+
+    const set1 = new Set(tokens1);
+    const set2 = new Set(tokens2);
+    const shared = [...set1].filter(token => set2.has(token));
+    const union = new Set([...set1, ...set2]);
+    const unionWeight = [...union].reduce((sum, token) => sum + this.weight(token), 0);
+    const sharedWeight = shared.reduce((sum, token) => sum + this.weight(token), 0);
+
+    return {
+      score: unionWeight > 0 ? sharedWeight / unionWeight : 0,
+      method: 'weighted overlap',
+      shared
+    };
+  }
+
+  // Compare the attributes of two products: { kind: 'match' | 'mismatch' } for kinds both state
+  compareAttributes(attributes1, attributes2) {
+    const result = {};
+    Object.keys(ATTRIBUTE_LABELS).forEach(kind => {
+      const values1 = attributes1[kind] || [];
+      const values2 = attributes2[kind] || [];
+      if (values1.length > 0 && values2.length > 0) {
+        result[kind] = values1.some(value => values2.includes(value)) ? 'match' : 'mismatch';
+      }
+    });
+    return result;
+  }
+
+  // Score an old/new product pair; each is { name, attributes }
+  score(oldProduct, newProduct) {
+    const name = this.nameScore(oldProduct.name, newProduct.name);
+    const attributes = this.compareAttributes(oldProduct.attributes, newProduct.attributes);
+    const mismatches = Object.keys(attributes).filter(kind => attributes[kind] === 'mismatch');
+
+    let score = name.score;
+    if (mismatches.length > 0) {
+      score = this.requireAttributeMatch ? 0 : score * Math.pow(this.attributeMismatchPenalty, mismatches.length);
+    }
+
+    return {
+      score,
+      breakdown: { ...name, nameScore: name.score, attributes, mismatches, oldAttributes: oldProduct.attributes, newAttributes: newProduct.attributes }
+    };
+  }
+}
+
+// Render a score breakdown as one line for the output CSV
+function formatBreakdown(breakdown) {
+  if (!breakdown) return '';
+
+  const parts = [`${breakdown.method} ${breakdown.nameScore.toFixed(2)}`];
+  if (breakdown.shared.length > 0 && breakdown.method === 'weighted overlap') {
+    parts[0] += ` (shared: ${breakdown.shared.join(' ')})`;
+  }
+
+  Object.entries(breakdown.attributes).forEach(([kind, outcome]) => {
+    const label = ATTRIBUTE_LABELS[kind];
+    if (outcome === 'match') {
+      parts.push(`${label} match`);
+    } else {
+      parts.push(`${label} mismatch ${breakdown.oldAttributes[kind].join('/')} vs ${breakdown.newAttributes[kind].join('/')}`);
+    }
+  });
+
+  return parts.join('; ');
+}
+
+module.exports = {
+  extractAttributes,
+  SimilarityModel,
+  formatBreakdown
+};
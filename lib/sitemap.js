@@ -0,0 +1,142 @@
+/**
+ * XML sitemap reading
+ *
+ * Reads sitemap.xml files, sitemap index files and gzipped (.xml.gz) variants into the
+ * same { sku, url } entries that are read from CSV files. Child sitemaps listed in an
+ * index are looked up by file name in the index file's directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { splitUrl } = require('./writers/common');
+
+// Deepest chain of nested sitemap indexes that is followed
+const MAX_INDEX_DEPTH = 5;
+
+// True if a file name looks like a sitemap rather than a CSV
+function isSitemapFile(file) {
+  return /\.xml(\.gz)?$/i.test(file);
+}
+
+// Read a sitemap file, decompressing it if it is gzipped
+function readSitemapText(file) {
+  const buffer = fs.readFileSync(file);
+  // Check the gzip magic number rather than trusting the extension
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+  return buffer.toString('utf8');
+}
+
+// Decode XML entities and CDATA sections in element text
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// All text values of an element (any namespace prefix) within a block of XML
+function elementValues(xml, localName) {
+  const pattern = new RegExp(`<(?:[\\w.-]+:)?${localName}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${localName}>`, 'gi');
+  const values = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    values.push(decodeXml(match[1]));
+  }
+  return values;
+}
+
+// Text of the first matching element, or an empty string
+function elementValue(xml, localName) {
+  return elementValues(xml, localName)[0] || '';
+}
+
+// The blocks of XML enclosed by an element, e.g. each <url>...</url>
+function elementBlocks(xml, localName) {
+  const pattern = new RegExp(`<(?:[\\w.-]+:)?${localName}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${localName}>`, 'gi');
+  const blocks = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    blocks.push(match[1]);
+  }
+  return blocks;
+}
+
+// Find the local copy of a child sitemap referenced by an index
+function resolveChildSitemap(loc, directory) {
+  const name = path.posix.basename(splitUrl(loc).pathname) || path.basename(loc);
+
+  // Accept a gzipped copy of a plain sitemap and vice versa
+  const candidates = [name, `${name}.gz`, name.replace(/\.gz$/i, '')];
+  for (const candidate of candidates) {
+    const file = path.join(directory, candidate);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+// Turn one <url> block into an entry, including lastmod, images and product identifiers
+function parseUrlBlock(block) {
+  // Image and other extension blocks carry their own <loc>, so strip them first
+  const images = elementBlocks(block, 'image').map(image => elementValue(image, 'loc')).filter(loc => loc);
+  const withoutExtensions = block.replace(/<(?:[\w.-]+:)image(?:\s[^>]*)?>[\s\S]*?<\/(?:[\w.-]+:)image>/gi, '');
+
+  const sku = elementValue(block, 'sku') || elementValue(block, 'mpn') || elementValue(block, 'gtin');
+  const entry = {
+    sku,
+    url: elementValue(withoutExtensions, 'loc'),
+    lastmod: elementValue(withoutExtensions, 'lastmod')
+  };
+
+  if (images.length > 0) {
+    entry.images = images;
+  }
+
+  return entry;
+}
+
+// Read entries from a sitemap or sitemap index file, following child sitemaps
+function readSitemap(file, depth = 0, warn = console.warn) {
+  const xml = readSitemapText(file);
+
+  if (/<(?:[\w.-]+:)?sitemapindex[\s>]/i.test(xml)) {
+    if (depth >= MAX_INDEX_DEPTH) {
+      warn(`Warning: Sitemap indexes nested too deeply, not following ${file}`);
+      return [];
+    }
+
+    const directory = path.dirname(file);
+    let entries = [];
+    elementBlocks(xml, 'sitemap').forEach(block => {
+      const loc = elementValue(block, 'loc');
+      const child = resolveChildSitemap(loc, directory);
+      if (!child) {
+        warn(`Warning: Child sitemap ${loc} not found in ${directory}`);
+        return;
+      }
+      entries = entries.concat(readSitemap(child, depth + 1, warn));
+    });
+    return entries;
+  }
+
+  if (!/<(?:[\w.-]+:)?urlset[\s>]/i.test(xml)) {
+    throw new Error(`${file} is not a sitemap (no <urlset> or <sitemapindex> element)`);
+  }
+
+  return elementBlocks(xml, 'url').map(parseUrlBlock).filter(entry => entry.url);
+}
+
+module.exports = {
+  isSitemapFile,
+  readSitemap
+};
@@ -0,0 +1,102 @@
+/**
+ * Sites and locales
+ *
+ * Works out where an old URL should go when several old domains or locales are mapped at
+ * once: hostMappings send each old host to a new base URL, locale prefixes such as /en-us/
+ * or /fr/ are detected from the first path segment, and localeBaseUrls give a locale its
+ * own new base URL (by default the locale prefix is kept). New URLs are grouped into scopes
+ * (host plus locale) the same way, so name and SKU matching stay within one site and locale.
+ */
+
+const { splitUrl, trimBaseUrl } = require('./writers/common');
+
+// First path segments taken as a locale with detectLocales: "fr", "en-us", "pt_BR", "zh-hans"
+const LOCALE_PATTERN = /^[a-z]{2}(?:[-_][a-z]{2,4})?$/i;
+
+// Lowercase host without "www.", so www and non-www hosts compare equal
+function bareHost(host) {
+  return String(host || '').toLowerCase().replace(/^www\./, '');
+}
+
+class SiteResolver {
+  // options: the newSiteBaseUrl, oldSiteBaseUrl, hostMappings, localePrefixes, detectLocales and localeBaseUrls settings
+  constructor(options = {}) {
+    this.newSiteBaseUrl = trimBaseUrl(options.newSiteBaseUrl);
+    this.defaultHost = bareHost(splitUrl(this.newSiteBaseUrl).host);
+    this.mainHosts = new Set([this.defaultHost, bareHost(splitUrl(options.oldSiteBaseUrl).host)].filter(Boolean));
+    this.hostMappings = new Map(Object.entries(options.hostMappings || {}).map(([host, base]) => [bareHost(host), trimBaseUrl(base)]));
+    this.localePrefixes = new Set((options.localePrefixes || []).map(locale => locale.toLowerCase()));
+    this.detectLocales = Boolean(options.detectLocales);
+    this.localeBaseUrls = new Map(Object.entries(options.localeBaseUrls || {}).map(([locale, base]) => [locale.toLowerCase(), trimBaseUrl(base)]));
+
+    // Without any of these settings there is one site and one locale, and hosts are never compared
+    this.multiHost = this.hostMappings.size > 0;
+    this.enabled = this.multiHost || this.localePrefixes.size > 0 || this.detectLocales || this.localeBaseUrls.size > 0;
+
+    // Scopes only tell hosts apart when new base URLs can be on other hosts
+    this.scopeByHost = this.multiHost || this.localeBaseUrls.size > 0;
+  }
+
+  // The locale prefix of a URL (lowercase, e.g. "en-us"), or '' if it has none
+  localeOf(url) {
+    if (!this.enabled) return '';
+    const segment = splitUrl(url).pathname.split('/')[1] || '';
+    const locale = segment.toLowerCase();
+    if (this.localePrefixes.has(locale) || this.localeBaseUrls.has(locale) || (this.detectLocales && LOCALE_PATTERN.test(segment))) {
+      return locale;
+    }
+    return '';
+  }
+
+  // The path of a URL without its locale prefix
+  stripLocale(pathname) {
+    const locale = this.localeOf(pathname);
+    return locale ? pathname.slice(locale.length + 1) || '/' : pathname;
+  }
+
+  // Host part of the key that decides whether two URLs are the same page: '' for relative URLs and
+  // the main site (newSiteBaseUrl and oldSiteBaseUrl), the host for any other site
+  hostKey(url) {
+    if (!this.multiHost) return '';
+    const host = bareHost(splitUrl(url).host);
+    return host && !this.mainHosts.has(host) ? host : '';
+  }
+
+  // New base URL for the host of an old URL (hostMappings, else newSiteBaseUrl), without the locale
+  hostBaseUrl(url) {
+    const host = bareHost(splitUrl(url).host);
+    return (host && this.hostMappings.get(host)) || this.newSiteBaseUrl;
+  }
+
+  // New base URL that targets built from settings (categories, sections, homepage) are appended to,
+  // keeping the old URL's locale prefix unless localeBaseUrls sets a base for it
+  baseUrlFor(url) {
+    const locale = this.localeOf(url);
+    if (locale && this.localeBaseUrls.has(locale)) {
+      return this.localeBaseUrls.get(locale);
+    }
+    const base = this.hostBaseUrl(url);
+    return locale ? `${base}/${locale}` : base;
+  }
+
+  // Host part of a scope: the URL's host (or the main site's) when scopes tell hosts apart, else ''
+  scopeHost(host) {
+    return this.scopeByHost ? bareHost(host) || this.defaultHost : '';
+  }
+
+  // Scope a new URL belongs to: its host and its locale, e.g. "shop.com/fr"
+  scopeOf(url) {
+    const locale = this.localeOf(url);
+    return `${this.scopeHost(splitUrl(url).host)}${locale ? `/${locale}` : ''}`;
+  }
+
+  // Scope an old URL is matched in: the host and path of its new base URL
+  targetScope(url) {
+    const { host, pathname } = splitUrl(this.baseUrlFor(url));
+    return `${this.scopeHost(host)}${pathname.replace(/\/+$/, '').toLowerCase()}`;
+  }
+}
+
+module.exports = {
+  SiteResolver
+};
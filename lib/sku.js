@@ -0,0 +1,170 @@
+/**
+ * SKU matching
+ *
+ * Looks up old SKUs on the new site, in order:
+ *
+ *  - an alias table (old SKU -> new SKU) for renumbered products     -> sku_alias_match
+ *  - the same SKU                                                     -> sku_match
+ *  - the same SKU after normalisation (case, whitespace, ...)         -> sku_normalized_match
+ *  - the parent of a variant SKU (AA.21015.1 -> AA.21015), or the
+ *    first variant of a parent SKU (AA.21015 -> AA.21015.1)           -> sku_variant_match
+ *
+ * SKUs shared by several URLs are reported rather than silently overwritten; the first
+ * URL listed keeps the SKU.
+ */
+
+const fs = require('fs');
+const { detectDelimiter, parseCSV } = require('./csv');
+
+// Normalisation rules, applied in the order they are listed in skuNormalization
+const NORMALIZATION_RULES = {
+  'trim': sku => sku.trim(),
+  'ignore-case': sku => sku.toUpperCase(),
+  'strip-whitespace': sku => sku.replace(/\s+/g, ''),
+  'strip-punctuation': sku => sku.replace(/[^\p{L}\p{N}]+/gu, ''),
+  'strip-leading-zeros': sku => sku.replace(/^0+(?=.)/, '')
+};
+
+// Headers accepted for the two columns of an alias file
+const OLD_SKU_HEADERS = ['old_sku', 'old', 'from', 'source', 'sku'];
+const NEW_SKU_HEADERS = ['new_sku', 'new', 'to', 'target'];
+
+// Build a normalisation function from a list of rule names
+function createNormalizer(rules) {
+  const steps = rules.map(rule => NORMALIZATION_RULES[rule]);
+  return sku => steps.reduce((value, step) => step(value), String(sku || ''));
+}
+
+// The parent of a variant SKU: everything before the last separator, or '' if there is none
+function parentSku(sku, separators) {
+  const trimmed = String(sku || '').trim();
+  const cut = Math.max(...separators.map(separator => trimmed.lastIndexOf(separator)));
+  return cut > 0 && cut < trimmed.length - 1 ? trimmed.slice(0, cut) : '';
+}
+
+// Read an alias CSV (old_sku,new_sku with or without a header) into a list of pairs
+function readSkuAliases(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`SKU alias file not found: ${file}`);
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  const rows = parseCSV(text, { delimiter: detectDelimiter(text, [',', ';', '\t']) });
+  const header = (rows[0] || []).map(name => name.trim().toLowerCase());
+  const oldColumn = header.findIndex(name => OLD_SKU_HEADERS.includes(name));
+  const newColumn = header.findIndex(name => NEW_SKU_HEADERS.includes(name));
+  const hasHeader = oldColumn >= 0 && newColumn >= 0;
+
+  return (hasHeader ? rows.slice(1) : rows)
+    .map(fields => ({
+      oldSku: (fields[hasHeader ? oldColumn : 0] || '').trim(),
+      newSku: (fields[hasHeader ? newColumn : 1] || '').trim()
+    }))
+    .filter(alias => alias.oldSku && alias.newSku);
+}
+
+// Group entries by normalised SKU, returning the SKUs used by more than one URL
+function findDuplicateSkus(entries, normalize) {
+  const bySku = new Map();
+  entries.forEach(entry => {
+    const sku = entry.sku ? normalize(entry.sku) : '';
+    if (!sku) return;
+    if (!bySku.has(sku)) {
+      bySku.set(sku, []);
+    }
+    bySku.get(sku).push(entry);
+  });
+
+  return [...bySku.entries()]
+    .filter(([, list]) => list.length > 1)
+    .map(([sku, list]) => ({ sku, entries: list }));
+}
+
+class SkuIndex {
+  // entries: the new site's { sku, url } entries
+  // options: { rules, variantSeparators, aliases } where aliases is a list of { oldSku, newSku }
+  constructor(entries, { rules = [], variantSeparators = [], aliases = [] } = {}) {
+    this.normalize = createNormalizer(rules);
+    this.variantSeparators = variantSeparators;
+    this.bySku = new Map();
+    this.byParent = new Map();
+    this.aliases = new Map();
+
+    entries.forEach(entry => {
+      const sku = entry.sku ? this.normalize(entry.sku) : '';
+      if (!sku) return;
+      // The first URL listed keeps a duplicated SKU
+      if (!this.bySku.has(sku)) {
+        this.bySku.set(sku, entry);
+      }
+
+      const parent = this.parent(entry.sku);
+      if (parent && !this.byParent.has(parent)) {
+        this.byParent.set(parent, entry);
+      }
+    });
+
+    aliases.forEach(({ oldSku, newSku }) => {
+      this.aliases.set(this.normalize(oldSku), newSku);
+    });
+  }
+
+  get size() {
+    return this.bySku.size;
+  }
+
+  // Normalised parent SKU of a variant, or '' when variant matching is off or there is no parent
+  parent(sku) {
+    if (this.variantSeparators.length === 0) return '';
+    const parent = parentSku(sku, this.variantSeparators);
+    return parent ? this.normalize(parent) : '';
+  }
+
+  // Aliases whose new SKU is not on the new site
+  missingAliases() {
+    return [...this.aliases.entries()]
+      .filter(([, newSku]) => !this.bySku.has(this.normalize(newSku)))
+      .map(([oldSku, newSku]) => ({ oldSku, newSku }));
+  }
+
+  // Find the new entry for an old SKU: { entry, matchType, matchedSku } or null
+  match(sku) {
+    if (!sku) return null;
+    const normalized = this.normalize(sku);
+    if (!normalized) return null;
+
+    const alias = this.aliases.get(normalized);
+    if (alias && this.bySku.has(this.normalize(alias))) {
+      const entry = this.bySku.get(this.normalize(alias));
+      return { entry, matchType: 'sku_alias_match', matchedSku: entry.sku };
+    }
+
+    if (this.bySku.has(normalized)) {
+      const entry = this.bySku.get(normalized);
+      const matchType = entry.sku === sku ? 'sku_match' : 'sku_normalized_match';
+      return { entry, matchType, matchedSku: entry.sku };
+    }
+
+    // An old variant whose parent product is on the new site
+    const parent = this.parent(sku);
+    if (parent && this.bySku.has(parent)) {
+      const entry = this.bySku.get(parent);
+      return { entry, matchType: 'sku_variant_match', matchedSku: entry.sku };
+    }
+
+    // An old parent product whose variants are on the new site
+    if (this.byParent.has(normalized)) {
+      const entry = this.byParent.get(normalized);
+      return { entry, matchType: 'sku_variant_match', matchedSku: entry.sku };
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  NORMALIZATION_RULES,
+  SkuIndex,
+  readSkuAliases,
+  findDuplicateSkus
+};
@@ -0,0 +1,162 @@
+/**
+ * URL normalisation
+ *
+ * Brings old and new URLs into one canonical form before they are matched, compared for
+ * loops or written out: query parameters are kept, dropped or whitelisted, percent-encoding
+ * is decoded and re-encoded consistently, index pages and file extensions can be stripped,
+ * and absolute URLs can be moved to one scheme and www/non-www host.
+ *
+ * Relative URLs stay relative. Fragments are always dropped, since they never reach the server.
+ */
+
+// Base for parsing relative URLs; never appears in the output
+const PLACEHOLDER_ORIGIN = 'https://placeholder.invalid';
+
+// Directory index pages removed by stripIndexPages
+const INDEX_PAGE = /\/index\.(html?|php|aspx?)$/i;
+
+// Characters that must stay encoded in a path after decoding
+const RESERVED_IN_PATH = /[/?#%]/g;
+
+// Decode runs of percent-escapes, keeping reserved characters and invalid sequences encoded
+function decodePath(pathname) {
+  return pathname.replace(/(?:%[0-9a-f]{2})+/gi, run => {
+    try {
+      return decodeURIComponent(run).replace(RESERVED_IN_PATH, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    } catch (e) {
+      return run.toUpperCase();
+    }
+  });
+}
+
+// Decode a query parameter name or value, leaving malformed ones as they are
+function decodeQueryPart(part) {
+  try {
+    return decodeURIComponent(part.replace(/\+/g, ' '));
+  } catch (e) {
+    return part;
+  }
+}
+
+// Split a query string (without "?") into raw parts and their decoded names and values
+function queryParts(search) {
+  return search
+    .split('&')
+    .filter(part => part)
+    .map(raw => {
+      const equals = raw.indexOf('=');
+      const name = equals >= 0 ? raw.slice(0, equals) : raw;
+      return { raw, name: decodeQueryPart(name), value: equals >= 0 ? decodeQueryPart(raw.slice(equals + 1)) : '' };
+    });
+}
+
+class UrlNormalizer {
+  // options: the queryParams, queryParamWhitelist, ignoredQueryParams, skuQueryParams, decodePercentEncoding,
+  // stripIndexPages, stripExtensions, wwwHost and urlProtocol settings
+  constructor(options = {}) {
+    this.queryParams = options.queryParams || 'keep';
+    this.whitelist = new Set((options.queryParamWhitelist || []).map(name => name.toLowerCase()));
+    this.ignored = new Set((options.ignoredQueryParams || []).map(name => name.toLowerCase()));
+    this.skuParams = (options.skuQueryParams || []).map(name => name.toLowerCase());
+    this.decode = options.decodePercentEncoding !== false;
+    this.stripIndexPages = Boolean(options.stripIndexPages);
+    this.stripExtensions = (options.stripExtensions || []).map(ext => ext.toLowerCase());
+    this.wwwHost = options.wwwHost || 'keep';
+    this.protocol = options.urlProtocol || 'keep';
+  }
+
+  // True if a query parameter survives normalisation
+  keepsParam(name) {
+    const lower = name.toLowerCase();
+    if (this.ignored.has(lower)) return false;
+    if (this.queryParams === 'drop') return false;
+    if (this.queryParams === 'whitelist') return this.whitelist.has(lower);
+    return true;
+  }
+
+  // Parse a URL, or return null if it cannot be parsed
+  parse(url) {
+    try {
+      return new URL(url, PLACEHOLDER_ORIGIN);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // The canonical form of a URL, used for matching and output
+  normalize(url) {
+    const parsed = this.parse(url);
+    if (!parsed) {
+      return url;
+    }
+    const absolute = /^https?:\/\//i.test(url);
+
+    let pathname = this.decode ? decodePath(parsed.pathname) : parsed.pathname;
+    if (this.stripIndexPages) {
+      pathname = pathname.replace(INDEX_PAGE, '/');
+    }
+    const extension = this.stripExtensions.find(ext => pathname.toLowerCase().endsWith(ext) && !pathname.endsWith(`/${ext}`));
+    if (extension) {
+      pathname = pathname.slice(0, -extension.length);
+    }
+    parsed.pathname = pathname;
+
+    // Kept parameters stay exactly as written and in their original order
+    const kept = queryParts(parsed.search.slice(1)).filter(({ name }) => this.keepsParam(name));
+    parsed.search = kept.map(({ raw }) => raw).join('&');
+    parsed.hash = '';
+
+    if (!absolute) {
+      return `${parsed.pathname}${parsed.search}`;
+    }
+
+    if (this.wwwHost === 'strip') {
+      parsed.hostname = parsed.hostname.replace(/^www\./i, '');
+    } else if (this.wwwHost === 'add' && !/^www\./i.test(parsed.hostname)) {
+      parsed.hostname = `www.${parsed.hostname}`;
+    }
+    if (this.protocol !== 'keep') {
+      parsed.protocol = `${this.protocol}:`;
+    }
+
+    return parsed.href;
+  }
+
+  // Key for comparing URLs: the normalised path without trailing slash, plus kept query parameters in
+  // a fixed order, lowercased; hosts are not compared
+  key(url) {
+    const parsed = this.parse(this.normalize(url));
+    if (!parsed) {
+      return url.toLowerCase();
+    }
+
+    const path = parsed.pathname.replace(/\/+$/, '');
+    const query = queryParts(parsed.search.slice(1))
+      .map(({ name, value }) => `${name}=${value}`.toLowerCase())
+      .sort()
+      .join('&');
+
+    return `${path}${query ? `?${query}` : ''}`.toLowerCase();
+  }
+
+  // SKU or product ID taken from the first skuQueryParams parameter present in the URL, or ''
+  querySku(url) {
+    const parsed = this.skuParams.length > 0 ? this.parse(url) : null;
+    if (!parsed) {
+      return '';
+    }
+
+    const parts = queryParts(parsed.search.slice(1));
+    for (const param of this.skuParams) {
+      const part = parts.find(({ name, value }) => name.toLowerCase() === param && value.trim());
+      if (part) {
+        return part.value.trim();
+      }
+    }
+    return '';
+  }
+}
+
+module.exports = {
+  UrlNormalizer
+};
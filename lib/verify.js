@@ -0,0 +1,127 @@
+/**
+ * Redirect verification
+ *
+ * Requests each old URL from a running server (staging or local), follows the redirects
+ * by hand and checks that the first response is a permanent redirect, that its Location
+ * is the expected new URL and that the destination answers 200.
+ */
+
+const fetch = require('node-fetch');
+const { splitUrl, trimBaseUrl } = require('./writers/common');
+
+// Status codes accepted as a permanent redirect
+const PERMANENT_REDIRECTS = [301, 308];
+
+// The path and query of a URL, used to compare URLs across hosts
+function pathAndQuery(url) {
+  const { pathname, query } = splitUrl(url);
+  return `${pathname}${query ? `?${query}` : ''}`;
+}
+
+// Build the URL to request for a mapping source on the server under test
+function requestUrlFor(oldURL, baseUrl) {
+  return `${trimBaseUrl(baseUrl)}${pathAndQuery(oldURL)}`;
+}
+
+// Resolve a Location header, sending links to the live new site to the server under test instead
+function nextUrl(location, currentUrl, options) {
+  const resolved = new URL(location, currentUrl);
+  const liveHost = options.newSiteBaseUrl ? splitUrl(options.newSiteBaseUrl).host : '';
+
+  if (liveHost && resolved.host.toLowerCase() === liveHost) {
+    return requestUrlFor(resolved.href, options.baseUrl);
+  }
+  return resolved.href;
+}
+
+// Request one URL without following redirects
+async function requestOnce(url, options) {
+  const response = await fetch(url, {
+    method: 'GET',
+    redirect: 'manual',
+    timeout: options.timeout,
+    headers: { 'User-Agent': 'url-mapper verify' }
+  });
+
+  // Discard the body so the connection can be reused
+  if (response.body && typeof response.body.resume === 'function') {
+    response.body.resume();
+  }
+
+  return { status: response.status, location: response.headers.get('location') || '' };
+}
+
+// Check a single mapping row against the server
+async function verifyRedirect(row, options) {
+  const result = {
+    oldURL: row.oldURL,
+    expectedURL: row.newURL,
+    requestURL: requestUrlFor(row.oldURL, options.baseUrl),
+    status: '',
+    location: '',
+    locationOk: false,
+    hops: 0,
+    finalURL: '',
+    finalStatus: '',
+    passed: false,
+    error: ''
+  };
+
+  try {
+    let url = result.requestURL;
+    let response = await requestOnce(url, options);
+    result.status = response.status;
+    result.location = response.location;
+
+    if (response.location) {
+      result.locationOk = pathAndQuery(new URL(response.location, url).href) === pathAndQuery(row.newURL);
+    }
+
+    while (response.status >= 300 && response.status < 400 && response.location) {
+      if (result.hops >= options.maxHops) {
+        throw new Error(`more than ${options.maxHops} redirects`);
+      }
+      url = nextUrl(response.location, url, options);
+      result.hops++;
+      response = await requestOnce(url, options);
+    }
+
+    result.finalURL = url;
+    result.finalStatus = response.status;
+    result.passed = PERMANENT_REDIRECTS.includes(result.status) && result.locationOk && response.status === 200;
+  } catch (error) {
+    result.error = error.type === 'request-timeout' ? `timed out after ${options.timeout}ms` : error.message;
+  }
+
+  return result;
+}
+
+// Verify many rows with at most options.concurrency requests in flight
+// options: { baseUrl, newSiteBaseUrl, concurrency, timeout, maxHops, onResult }
+async function verifyRedirects(rows, options) {
+  const results = new Array(rows.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < rows.length) {
+      const index = next++;
+      results[index] = await verifyRedirect(rows[index], options);
+      if (options.onResult) {
+        options.onResult(results[index], index);
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(options.concurrency, rows.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  verifyRedirect,
+  verifyRedirects
+};
@@ -0,0 +1,104 @@
+/**
+ * Apache writer
+ *
+ * Emits .htaccess rules. The default 'rewrite' style uses anchored mod_rewrite rules; the
+ * 'redirect' style uses mod_alias "Redirect 301" lines, which also match sub-paths of the
+ * source and are applied first match first, so they are written longest source path first.
+ * Sources with a query string always need mod_rewrite and are written as
+ * RewriteCond/RewriteRule pairs in either style. Pattern rules are written as regex
+ * RewriteRules after the single redirects, which then also use mod_rewrite so that they
+ * are tried first.
+ */
+
+const { safeDecode } = require('./common');
+
+// Quote a directive argument if it contains whitespace or quotes
+function quoteArgument(value) {
+  if (!/[\s"\\]/.test(value)) return value;
+  return `"${value.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+// Escape a string for use as a literal inside a PCRE pattern, keeping it one config word
+function escapePattern(value) {
+  return value
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s/g, ch => `\\x${ch.charCodeAt(0).toString(16).padStart(2, '0')}`)
+    .replace(/"/g, '\\x22');
+}
+
+// Escape a RewriteRule substitution: $N and %N are back-references, and spaces end the word
+function escapeSubstitution(value) {
+  return value
+    .replace(/\s/g, ch => encodeURIComponent(ch))
+    .replace(/([$%\\])/g, '\\$1');
+}
+
+// Build the RewriteCond/RewriteRule lines for one redirect
+function rewriteLines(redirect) {
+  const lines = [];
+  const path = safeDecode(redirect.sourcePath).replace(/^\/+/, '');
+  const flags = ['R=301', 'L', 'NE'];
+
+  if (redirect.sourceQuery) {
+    lines.push(`RewriteCond %{QUERY_STRING} ^${escapePattern(redirect.sourceQuery)}$`);
+    if (!redirect.target.includes('?')) {
+      // Drop the old query string instead of appending it to the new URL
+      flags.push('QSD');
+    }
+  }
+
+  lines.push(`RewriteRule ^/?${escapePattern(path)}$ ${escapeSubstitution(redirect.target)} [${flags.join(',')}]`);
+  return lines;
+}
+
+// Build the RewriteRule line for a pattern rule; .htaccess paths have no leading slash. The target
+// keeps its $N back-references and is otherwise escaped like escapeSubstitution()
+function patternRuleLine(rule) {
+  const pattern = rule.source.replace(/^\^\//, '^/?').replace(/\s/g, '\\s');
+  const target = rule.target
+    .replace(/\s/g, ch => encodeURIComponent(ch))
+    .replace(/[%\\]|\$(?!\d)/g, '\\$&');
+  const flags = ['R=301', 'L', 'NE'];
+  if (rule.ignoreCase) {
+    flags.push('NC');
+  }
+  return `RewriteRule ${pattern} ${target} [${flags.join(',')}]`;
+}
+
+// Write .htaccess content for a list of redirects
+function write(redirects, { config, rules = [] }) {
+  const allRewrite = config.apacheRedirectStyle === 'rewrite' || rules.length > 0;
+  const useRewrite = allRewrite || redirects.some(r => r.sourceQuery);
+  const lines = [`# ${redirects.length} redirects generated by url-mapper`];
+
+  if (useRewrite) {
+    lines.push('RewriteEngine On');
+  }
+  lines.push('');
+
+  // A Redirect line for /category would otherwise catch /category/product listed after it
+  const sourceLength = redirect => safeDecode(redirect.sourcePath).replace(/\/+$/, '').length;
+  const ordered = allRewrite ? redirects : redirects.slice().sort((a, b) => sourceLength(b) - sourceLength(a));
+  ordered.forEach(redirect => {
+    if (allRewrite || redirect.sourceQuery) {
+      lines.push(...rewriteLines(redirect));
+    } else {
+      lines.push(`Redirect 301 ${quoteArgument(safeDecode(redirect.sourcePath))} ${quoteArgument(redirect.target)}`);
+    }
+  });
+
+  if (rules.length > 0) {
+    lines.push('', '# Pattern rules');
+    rules.forEach(rule => lines.push(`# ${rule.name}`, patternRuleLine(rule)));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  name: 'apache',
+  description: 'Apache .htaccess Redirect 301 / RewriteRule lines',
+  defaultFile: '.htaccess',
+  ruleSyntax: ['regex'],
+  write
+};
@@ -0,0 +1,42 @@
+/**
+ * Cloudflare writer
+ *
+ * Emits a Bulk Redirects list as CSV (source URL, target URL, status code; no header row).
+ * Source URLs need a host, taken from the old URL itself, then oldSiteBaseUrl, then
+ * newSiteBaseUrl. Bulk Redirects cannot match query strings, so those sources are skipped.
+ */
+
+const { splitUrl, resolveTarget } = require('./common');
+const { formatCSVRow } = require('../csv');
+
+// Write Cloudflare bulk redirect CSV content for a list of redirects
+function write(redirects, { config, warn }) {
+  const fallbackHost = splitUrl(config.oldSiteBaseUrl || config.newSiteBaseUrl).host;
+  const lines = [];
+
+  redirects.forEach(redirect => {
+    if (redirect.sourceQuery) {
+      warn(`skipped ${redirect.source}: Cloudflare bulk redirects cannot match query strings`);
+      return;
+    }
+
+    const host = redirect.sourceHost || fallbackHost;
+    if (!host) {
+      warn(`skipped ${redirect.source}: no host known (set oldSiteBaseUrl)`);
+      return;
+    }
+
+    const source = `${host}${redirect.sourcePath}`.replace(/\s/g, ch => encodeURIComponent(ch));
+    const target = resolveTarget(redirect.target, 'absolute', config.newSiteBaseUrl).replace(/\s/g, ch => encodeURIComponent(ch));
+    lines.push(formatCSVRow([source, target, '301']));
+  });
+
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+module.exports = {
+  name: 'cloudflare',
+  description: 'Cloudflare bulk redirects CSV',
+  defaultFile: 'cloudflare-redirects.csv',
+  write
+};
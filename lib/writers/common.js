@@ -0,0 +1,111 @@
+/**
+ * Shared helpers for redirect writers
+ *
+ * Turns mapping rows into redirect objects with the source split into host, path and query,
+ * and the target resolved according to exportTargetStyle.
+ */
+
+// Split a URL (absolute or path-only) into host, path and query without decoding it
+function splitUrl(url) {
+  const value = String(url || '').trim();
+  const match = value.match(/^(https?:)?\/\/([^/?#]+)(.*)$/i);
+  const rest = match ? match[3] : value;
+
+  const hashIndex = rest.indexOf('#');
+  const withoutHash = hashIndex >= 0 ? rest.slice(0, hashIndex) : rest;
+  const queryIndex = withoutHash.indexOf('?');
+
+  let pathname = queryIndex >= 0 ? withoutHash.slice(0, queryIndex) : withoutHash;
+  if (!pathname.startsWith('/')) {
+    pathname = `/${pathname}`;
+  }
+
+  return {
+    protocol: match && match[1] ? match[1].toLowerCase() : '',
+    host: match ? match[2].toLowerCase() : '',
+    pathname,
+    query: queryIndex >= 0 ? withoutHash.slice(queryIndex + 1) : ''
+  };
+}
+
+// Decode percent-escapes in a path, leaving it untouched if it is malformed
+function safeDecode(value) {
+  try {
+    return decodeURI(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Decode a query string component, leaving it untouched if it is malformed
+function safeDecodeComponent(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+}
+
+// Remove the trailing slash from a base URL so paths can be appended
+function trimBaseUrl(baseUrl) {
+  return String(baseUrl || '').replace(/\/+$/, '');
+}
+
+// Resolve a redirect target to the configured style: 'auto' (as given), 'absolute' or 'path'
+function resolveTarget(url, style, baseUrl) {
+  const isAbsolute = /^https?:\/\//i.test(url);
+
+  if (style === 'absolute' && !isAbsolute) {
+    return `${trimBaseUrl(baseUrl)}${url.startsWith('/') ? '' : '/'}${url}`;
+  }
+
+  if (style === 'path' && isAbsolute) {
+    const { pathname, query } = splitUrl(url);
+    const hashIndex = url.indexOf('#');
+    return `${pathname}${query ? `?${query}` : ''}${hashIndex >= 0 ? url.slice(hashIndex) : ''}`;
+  }
+
+  return url;
+}
+
+// Build redirect objects from mapping rows, applying the match type filter
+function toRedirects(rows, config) {
+  const matchTypes = config.exportMatchTypes || [];
+
+  return rows
+    .filter(row => row.oldURL && row.newURL)
+    .filter(row => matchTypes.length === 0 || matchTypes.includes(row.matchType))
+    .map(row => {
+      const source = splitUrl(row.oldURL);
+      return {
+        source: row.oldURL,
+        sourceHost: source.host,
+        sourcePath: source.pathname,
+        sourceQuery: source.query,
+        target: resolveTarget(row.newURL, config.exportTargetStyle, config.newSiteBaseUrl),
+        status: 301,
+        matchType: row.matchType
+      };
+    });
+}
+
+// Parse a query string into [key, value] pairs, keeping the raw (encoded) text
+function queryPairs(query) {
+  return query
+    .split('&')
+    .filter(part => part)
+    .map(part => {
+      const equals = part.indexOf('=');
+      return equals >= 0 ? [part.slice(0, equals), part.slice(equals + 1)] : [part, ''];
+    });
+}
+
+module.exports = {
+  splitUrl,
+  safeDecode,
+  safeDecodeComponent,
+  trimBaseUrl,
+  resolveTarget,
+  toRedirects,
+  queryPairs
+};
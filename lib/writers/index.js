@@ -0,0 +1,197 @@
+/**
+ * Redirect writers
+ *
+ * Registry of output formats that turn the URL mapping into deploy-ready redirect rules.
+ * A writer is an object with a name, a description, a defaultFile and a
+ * write(redirects, context) function returning the file content; context holds the
+ * config, a warn(message) callback and the pattern rules to emit. Writers that can emit
+ * pattern rules list the rule kinds they support in ruleSyntax ('regex' and/or
+ * 'template'). Register additional writers with registerWriter().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitUrl, toRedirects, resolveTarget } = require('./common');
+const { compileRewriteRules, coversRedirect } = require('../rewrite-rules');
+const { CSVFileWriter, parseCSV } = require('../csv');
+
+const writers = {};
+
+// Add a writer to the registry, replacing any existing writer with the same name
+function registerWriter(writer) {
+  if (!writer || !writer.name || typeof writer.write !== 'function' || !writer.defaultFile) {
+    throw new Error('A writer needs a name, a defaultFile and a write() function');
+  }
+  writers[writer.name] = writer;
+}
+
+// Look up a writer by name
+function getWriter(name) {
+  const writer = writers[name];
+  if (!writer) {
+    throw new Error(`Unknown export format "${name}" (available: ${listWriters().join(', ')})`);
+  }
+  return writer;
+}
+
+// Names of all registered writers
+function listWriters() {
+  return Object.keys(writers);
+}
+
+// Header names accepted for the source and target columns of a redirect CSV
+const SOURCE_HEADERS = ['old_url', 'source', 'from', 'old'];
+const TARGET_HEADERS = ['new_url', 'target', 'to', 'new', 'destination'];
+
+// Read rows from a url-mapping.csv file written by the mapper, or any CSV of redirects
+// (old_url/new_url or source/target headers, or a headerless source,target file)
+function readMappingFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Mapping file not found: ${file}`);
+  }
+
+  const rows = parseCSV(fs.readFileSync(file, 'utf8'), { delimiter: ',' });
+  const header = (rows[0] || []).map(name => name.trim().toLowerCase());
+  const column = names => header.findIndex(name => names.includes(name));
+
+  let sourceColumn = column(SOURCE_HEADERS);
+  let targetColumn = column(TARGET_HEADERS);
+  let dataRows = rows.slice(1);
+
+  if (sourceColumn < 0 || targetColumn < 0) {
+    if (!/^(\/|https?:\/\/)/i.test(header[0] || '')) {
+      throw new Error(`${file} does not look like a redirect file (expected old_url/new_url or source/target columns)`);
+    }
+    sourceColumn = 0;
+    targetColumn = 1;
+    dataRows = rows;
+  }
+
+  const matchTypeColumn = header.indexOf('match_type');
+  const similarityColumn = header.indexOf('similarity');
+
+  return dataRows
+    .map(fields => ({
+      oldURL: (fields[sourceColumn] || '').trim(),
+      newURL: (fields[targetColumn] || '').trim(),
+      matchType: matchTypeColumn >= 0 && dataRows !== rows ? fields[matchTypeColumn] : '',
+      similarity: similarityColumn >= 0 && dataRows !== rows ? fields[similarityColumn] : ''
+    }))
+    .filter(row => row.oldURL && row.newURL);
+}
+
+// True if a writer can emit a pattern rule; templates can always be written as a regex
+function canEmitRule(writer, rule) {
+  const syntax = writer.ruleSyntax || [];
+  return syntax.includes('regex') || (Boolean(rule.template) && syntax.includes('template'));
+}
+
+// Columns of a url-mapping.csv file
+const MAPPING_HEADER = ['old_url', 'new_url', 'old_name', 'new_name', 'match_type', 'similarity', 'sku', 'score_breakdown', 'runners_up', 'old_host', 'hits'];
+
+// The url-mapping.csv fields for one mapping row; hits is only known when access logs were read
+function mappingFields({ oldURL, newURL, oldName, newName, matchType, similarity, sku, breakdown, runnersUp, hits }) {
+  const alternatives = (runnersUp || []).map(candidate => `${candidate.url} (${candidate.similarity.toFixed(2)})`).join(' | ');
+  return [oldURL, newURL, oldName, newName, matchType, similarity, sku, breakdown, alternatives, splitUrl(oldURL).host, hits];
+}
+
+// Write mapping rows to a url-mapping.csv file
+function writeMappingFile(file, rows) {
+  const writer = new CSVFileWriter(file, MAPPING_HEADER);
+  rows.forEach(row => writer.write(mappingFields(row)));
+  writer.close();
+}
+
+// Write redirect files for each configured format, returning the paths written
+// output: { log, warn } callbacks for progress and for warnings (default: the console)
+function exportRedirects(rows, config, { log = console.log, warn = console.warn } = {}) {
+  const redirects = toRedirects(rows, config);
+  const emittedRules = compileRewriteRules(config.rewriteRules).filter(rule => rule.emit).map(rule => ({
+    ...rule,
+    target: resolveTarget(rule.target, config.exportTargetStyle, config.newSiteBaseUrl),
+    template: rule.template && {
+      ...rule.template,
+      to: resolveTarget(rule.template.to, config.exportTargetStyle, config.newSiteBaseUrl)
+    }
+  }));
+  const exportDir = path.resolve(config.exportDir);
+  const written = [];
+
+  if (config.exportMatchTypes.length > 0) {
+    log(`Exporting ${redirects.length} of ${rows.length} redirects (match types: ${config.exportMatchTypes.join(', ')})`);
+  }
+
+  // With exportPerHost, each old host gets its own folder; redirects from relative URLs stay in exportDir
+  const groups = new Map();
+  redirects.forEach(redirect => {
+    const host = config.exportPerHost ? redirect.sourceHost : '';
+    if (!groups.has(host)) {
+      groups.set(host, []);
+    }
+    groups.get(host).push(redirect);
+  });
+  if (groups.size === 0) {
+    groups.set('', []);
+  }
+
+  groups.forEach((hostRedirects, host) => {
+    const dir = path.join(exportDir, host);
+    fs.mkdirSync(dir, { recursive: true });
+
+    config.exportFormats.forEach(format => {
+      const writer = getWriter(format);
+      const warnings = [];
+
+      // Redirects produced by an emitted pattern rule are replaced by the rule itself; a host's folder only
+      // gets the rules producing some of its redirects
+      const rules = emittedRules.filter(rule => canEmitRule(writer, rule) &&
+        (!config.exportPerHost || hostRedirects.some(redirect => coversRedirect(rule, redirect))));
+      emittedRules
+        .filter(rule => !canEmitRule(writer, rule))
+        .forEach(rule => warnings.push(`pattern rule "${rule.name}" cannot be written for ${format}, writing single redirects instead`));
+      const single = hostRedirects.filter(redirect => !rules.some(rule => coversRedirect(rule, redirect)));
+
+      const content = writer.write(single, { config, warn: message => warnings.push(message), rules });
+      const total = single.length + rules.length;
+
+      if (writer.maxRules && total > writer.maxRules) {
+        warnings.push(`${total} redirects exceeds the ${writer.maxRules} rule limit for ${format}`);
+      }
+
+      const file = path.join(dir, writer.defaultFile);
+      fs.writeFileSync(file, content);
+      written.push(file);
+
+      log(`${writer.description} saved as: ${file}`);
+      if (rules.length > 0) {
+        log(`  ${rules.length} pattern rules replace ${hostRedirects.length - single.length} single redirects`);
+      }
+      warnings.slice(0, config.sampleSize).forEach(message => warn(`  Warning: ${message}`));
+      if (warnings.length > config.sampleSize) {
+        warn(`  ...and ${warnings.length - config.sampleSize} more warnings`);
+      }
+    });
+  });
+
+  return written;
+}
+
+[
+  require('./apache'),
+  require('./nginx'),
+  require('./netlify'),
+  require('./vercel'),
+  require('./cloudflare'),
+  require('./wordpress')
+].forEach(registerWriter);
+
+module.exports = {
+  registerWriter,
+  getWriter,
+  listWriters,
+  readMappingFile,
+  MAPPING_HEADER,
+  mappingFields,
+  writeMappingFile,
+  exportRedirects
+};
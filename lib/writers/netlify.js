@@ -0,0 +1,49 @@
+/**
+ * Netlify writer
+ *
+ * Emits a _redirects file. Query strings on the source become Netlify's key=value
+ * query parameter conditions. Path-template pattern rules are written with Netlify's own
+ * :placeholders and splats after the single redirects.
+ */
+
+const { queryPairs } = require('./common');
+
+// Encode characters that Netlify treats as separators, comments, placeholders or splats
+function encodeSource(path) {
+  return path
+    .replace(/\s/g, ch => encodeURIComponent(ch))
+    .replace(/#/g, '%23')
+    .replace(/:/g, '%3A')
+    .replace(/\*/g, '%2A');
+}
+
+// Encode characters that would split or comment out the target
+function encodeTarget(url) {
+  return url.replace(/\s/g, ch => encodeURIComponent(ch)).replace(/#/g, '%23');
+}
+
+// Write _redirects content for a list of redirects
+function write(redirects, { rules = [] } = {}) {
+  const lines = [`# ${redirects.length} redirects generated by url-mapper`];
+
+  redirects.forEach(redirect => {
+    const conditions = queryPairs(redirect.sourceQuery)
+      .map(([key, value]) => `${encodeTarget(key)}=${encodeTarget(value)}`);
+    lines.push([encodeSource(redirect.sourcePath), ...conditions, encodeTarget(redirect.target), '301'].join(' '));
+  });
+
+  rules.forEach(rule => {
+    lines.push(`# ${rule.name}`);
+    lines.push([rule.template.from, encodeTarget(rule.template.to), '301'].join(' '));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  name: 'netlify',
+  description: 'Netlify _redirects file',
+  defaultFile: '_redirects',
+  ruleSyntax: ['template'],
+  write
+};
@@ -0,0 +1,59 @@
+/**
+ * Nginx writer
+ *
+ * Emits a map block keyed on $request_uri (the raw path plus query string), to be included
+ * in the http block and used from the server block with:
+ *
+ *   if ($redirect_uri) { return 301 $redirect_uri; }
+ *
+ * Pattern rules become regex keys; nginx tries exact keys before regexes.
+ */
+
+const NGINX_KEYWORDS = ['default', 'hostnames', 'include', 'volatile'];
+
+// Quote a map key or value when nginx would otherwise misread it
+function quoteValue(value) {
+  if (!/[\s;{}"'#\\]/.test(value) && !value.startsWith('~') && !NGINX_KEYWORDS.includes(value)) {
+    return value;
+  }
+  return `"${value.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+// Build the map line for a pattern rule, allowing a query string after the path
+function patternRuleLine(rule) {
+  const pattern = rule.source.replace(/(^|[^\\])\$$/, '$1(?:\\?.*)?$');
+  const key = `${rule.ignoreCase ? '~*' : '~'}${pattern}`;
+  return `    "${key.replace(/(["\\])/g, '\\$1')}" ${quoteValue(rule.target)};`;
+}
+
+// Write an nginx map block for a list of redirects
+function write(redirects, { rules = [] } = {}) {
+  const lines = [
+    `# ${redirects.length} redirects generated by url-mapper`,
+    '# Include inside the http block, then add to the server block:',
+    '#   if ($redirect_uri) { return 301 $redirect_uri; }',
+    '# Large maps may need map_hash_bucket_size / map_hash_max_size raised.',
+    'map $request_uri $redirect_uri {',
+    '    default "";'
+  ];
+
+  redirects.forEach(redirect => {
+    const source = `${redirect.sourcePath}${redirect.sourceQuery ? `?${redirect.sourceQuery}` : ''}`;
+    // Map values are interpolated, so a literal "$" has to be percent-encoded
+    const target = redirect.target.replace(/\$/g, '%24');
+    lines.push(`    ${quoteValue(source)} ${quoteValue(target)};`);
+  });
+
+  rules.forEach(rule => lines.push(`    # ${rule.name}`, patternRuleLine(rule)));
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  name: 'nginx',
+  description: 'Nginx map block for use with "return 301"',
+  defaultFile: 'redirects.nginx.conf',
+  ruleSyntax: ['regex'],
+  write
+};
@@ -0,0 +1,58 @@
+/**
+ * Vercel writer
+ *
+ * Emits a vercel.json fragment with a "redirects" array. Sources are path-to-regexp
+ * patterns, so literal special characters are escaped; query strings on the source
+ * become "has" conditions. Path-template pattern rules keep their :parameters, with a
+ * trailing "*" written as ":splat*".
+ */
+
+const { queryPairs, safeDecodeComponent } = require('./common');
+
+// Escape characters that path-to-regexp treats as parameters, groups or modifiers
+function escapeSource(path) {
+  return path.replace(/[:()[\]{}*+?\\]/g, '\\$&');
+}
+
+// Write vercel.json content for a list of redirects
+function write(redirects, { rules = [] } = {}) {
+  const entries = redirects.map(redirect => {
+    const entry = {
+      source: escapeSource(redirect.sourcePath),
+      destination: redirect.target,
+      statusCode: 301
+    };
+
+    const pairs = queryPairs(redirect.sourceQuery);
+    if (pairs.length > 0) {
+      entry.has = pairs.map(([key, value]) => {
+        const condition = { type: 'query', key: safeDecodeComponent(key) };
+        if (value) {
+          condition.value = safeDecodeComponent(value);
+        }
+        return condition;
+      });
+    }
+
+    return entry;
+  });
+
+  rules.forEach(rule => {
+    entries.push({
+      source: rule.template.from.replace(/\/\*$/, '/:splat*'),
+      destination: rule.template.to,
+      statusCode: 301
+    });
+  });
+
+  return `${JSON.stringify({ redirects: entries }, null, 2)}\n`;
+}
+
+module.exports = {
+  name: 'vercel',
+  description: 'vercel.json "redirects" array',
+  defaultFile: 'vercel.json',
+  maxRules: 2048,
+  ruleSyntax: ['template'],
+  write
+};
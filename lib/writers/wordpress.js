@@ -0,0 +1,33 @@
+/**
+ * WordPress writer
+ *
+ * Emits a CSV for the Redirection plugin's importer (source, target, regex, code).
+ * Sources are written path-only, as the plugin expects. Pattern rules are written as regex
+ * rows after the single redirects.
+ */
+
+const { formatCSVRow } = require('../csv');
+
+// Write Redirection plugin import CSV content for a list of redirects
+function write(redirects, { rules = [] } = {}) {
+  const lines = ['source,target,regex,code'];
+
+  redirects.forEach(redirect => {
+    const source = `${redirect.sourcePath}${redirect.sourceQuery ? `?${redirect.sourceQuery}` : ''}`;
+    lines.push(formatCSVRow([source, redirect.target, '0', '301']));
+  });
+
+  rules.forEach(rule => {
+    lines.push(formatCSVRow([`${rule.ignoreCase ? '(?i)' : ''}${rule.source}`, rule.target, '1', '301']));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  name: 'wordpress',
+  description: 'WordPress Redirection plugin import CSV',
+  defaultFile: 'redirection.csv',
+  ruleSyntax: ['regex'],
+  write
+};
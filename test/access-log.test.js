@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { readAccessLogs } = require('../lib/access-log');
+
+test('rejects a corrupt gzipped log instead of crashing', async () => {
+  const file = path.join(__dirname, 'fixtures', 'corrupt-access.log.gz');
+
+  await assert.rejects(readAccessLogs([file]), /Could not read access log .*corrupt-access\.log\.gz: unexpected end of file/);
+});
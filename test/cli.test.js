@@ -0,0 +1,260 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { main } = require('../lib/cli');
+const { readMappingFile } = require('../lib/writers');
+const { parseCSV } = require('../lib/csv');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Run the CLI quietly from a fresh directory holding a project config, so every output file lands
+// there; returns { code, dir, output }
+async function runCli(t, args, settings = {}, dir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-mapper-'))) {
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configFile = path.join(dir, 'project.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    oldUrlsFile: path.join(FIXTURES, 'old-urls.csv'),
+    newUrlsFile: path.join(FIXTURES, 'new-urls.csv'),
+    newSiteBaseUrl: 'https://shop.test',
+    categoryMappings: { tools: '/tools/' },
+    verbose: false,
+    showSamples: false,
+    ...settings
+  }));
+
+  const output = [];
+  t.mock.method(console, 'log', message => output.push(String(message)));
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', message => output.push(String(message)));
+
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    const code = await main([...args, '--config', configFile]);
+    return { code, dir, output: output.join('\n') };
+  } finally {
+    process.chdir(cwd);
+    t.mock.restoreAll();
+  }
+}
+
+test('map writes the mapping and loops files', async t => {
+  const { code, dir } = await runCli(t, ['map']);
+
+  assert.strictEqual(code, 0);
+  const rows = readMappingFile(path.join(dir, 'url-mapping.csv'));
+  assert.strictEqual(rows.length, 6);
+  assert.deepStrictEqual(rows[0], {
+    oldURL: '/product/blue-widget',
+    newURL: 'https://shop.test/product/widget-blue/',
+    matchType: 'sku_match',
+    similarity: '1.00'
+  });
+  assert.ok(fs.readFileSync(path.join(dir, 'skipped-loops.csv'), 'utf8').includes('identical_urls'));
+});
+
+test('map writes a JSON summary and an HTML report of the run', async t => {
+  const { code, dir } = await runCli(t, ['map']);
+
+  assert.strictEqual(code, 0);
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, 'mapping-summary.json'), 'utf8'));
+  assert.strictEqual(summary.counts.redirects, 6);
+  assert.strictEqual(summary.matchTypes.fallback_homepage, 2);
+  assert.strictEqual(summary.similarityHistogram.reduce((total, bucket) => total + bucket.count, 0), 4, 'fallbacks have no similarity');
+  assert.deepStrictEqual(summary.loops.map(loop => loop.reason), ['identical_urls']);
+  assert.deepStrictEqual(summary.skuCoverage.old, { urls: 7, withSku: 3, matchedBySku: 2 });
+  assert.strictEqual(summary.config.newSiteBaseUrl, 'https://shop.test');
+
+  const html = fs.readFileSync(path.join(dir, 'mapping-report.html'), 'utf8');
+  assert.ok(html.includes('sku_variant_match'));
+  assert.ok(!/<(link|script)\b/i.test(html), 'the report needs no other files');
+});
+
+test('map reads old URLs and hits from access logs', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-mapper-'));
+  const line = (target, status, userAgent = 'Mozilla/5.0') =>
+    `203.0.113.9 - - [12/Mar/2024:10:15:32 +0000] "GET ${target} HTTP/1.1" ${status} 512 "https://www.google.com/" "${userAgent}"`;
+  fs.writeFileSync(path.join(dir, 'access.log'), [
+    line('/product/blue-widget', 200),
+    line('/product/garden-hose-green', 200),
+    line('/product/garden-hose-green', 404),
+    line('/product/old-sale', 301),
+    line('/product/old-sale', 301),
+    line('/product/red-gadget-large', 200),
+    line('/about-us/', 301),
+    line('/product/typo-once', 404),
+    line('/wp-content/uploads/hose.jpg', 200),
+    line('/product/crawled-only', 200, 'Googlebot/2.1')
+  ].join('\n'));
+  fs.writeFileSync(path.join(dir, 'access.log.1.gz'), zlib.gzipSync(`${line('/product/blue-widget', 200)}\n`));
+
+  const { code } = await runCli(t, ['map', '--logs', 'access.log,access.log.1.gz', '--access-log-min-hits', '2'], {}, dir);
+
+  assert.strictEqual(code, 0);
+  const mapping = parseCSV(fs.readFileSync(path.join(dir, 'url-mapping.csv'), 'utf8'), { delimiter: ',' });
+  const hits = Object.fromEntries(mapping.slice(1).map(fields => [fields[0], fields[mapping[0].indexOf('hits')]]));
+  assert.strictEqual(hits['/product/blue-widget'], '2');
+  assert.strictEqual(hits['/product/garden-hose-green'], '2', 'URLs only in the logs are mapped too');
+  assert.strictEqual(hits['/product/red-gadget-large'], '1', 'listed URLs keep their hits below accessLogMinHits');
+  assert.strictEqual(hits['/about-us/'], '1', 'listed URLs are mapped even when already redirected');
+  assert.strictEqual(hits['/product/stainless-steel-water-bottle-750ml'], '0');
+  assert.strictEqual(hits['/product/old-sale'], undefined, 'already redirected');
+  assert.strictEqual(hits['/product/typo-once'], undefined, 'below accessLogMinHits');
+  assert.strictEqual(hits['/product/crawled-only'], undefined, 'bots are left out');
+
+  const report = fs.readFileSync(path.join(dir, 'access-log-urls.csv'), 'utf8');
+  assert.ok(report.includes('"/product/garden-hose-green","2","404","200: 1 404: 1","https://www.google.com/ (2)"'));
+});
+
+test('map matches pages by their content in wget mirrors', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-mapper-'));
+  const savePage = (file, title) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), `<html><head><title>${title} &ndash; Shop</title></head><body><h1>${title}</h1></body></html>`);
+  };
+  savePage('old/old-shop.test/product/vibac-426-regular-duty.html', 'Tan Hot Melt Hand Tape');
+  savePage('new/shop.test/product/garden-hose/index.html', 'Tan Hot Melt Hand Tape');
+  fs.writeFileSync(path.join(dir, 'old.csv'), 'sku,url\n,/product/vibac-426-regular-duty\n');
+
+  const { code, output } = await runCli(t, ['map'], { oldUrlsFile: 'old.csv', oldSnapshotDir: 'old', newSnapshotDir: 'new' }, dir);
+
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(readMappingFile(path.join(dir, 'url-mapping.csv'))[0], {
+    oldURL: '/product/vibac-426-regular-duty',
+    newURL: 'https://shop.test/product/garden-hose/',
+    matchType: 'content_match',
+    similarity: '1.00'
+  });
+  assert.match(output, /Found saved pages for 1 of 6 new URLs/);
+});
+
+test('export writes redirect rules from an existing mapping', async t => {
+  const { dir } = await runCli(t, ['map']);
+  const { code } = await runCli(t, ['export', '--format', 'nginx'], {}, dir);
+
+  assert.strictEqual(code, 0);
+  const rules = fs.readFileSync(path.join(dir, 'redirects', 'redirects.nginx.conf'), 'utf8');
+  assert.ok(rules.includes('/product/blue-widget'));
+});
+
+test('verify writes a pass/fail row per redirect and exits 1 on failures', async t => {
+  const server = http.createServer((request, response) => {
+    if (request.url === '/product/blue-widget') {
+      response.writeHead(301, { Location: 'https://shop.test/product/widget-blue/' });
+    } else {
+      response.writeHead(request.url === '/product/widget-blue/' ? 200 : 404);
+    }
+    response.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const { dir } = await runCli(t, ['map']);
+  const { code } = await runCli(t, ['verify', '--base-url', `http://127.0.0.1:${server.address().port}`], {}, dir);
+
+  assert.strictEqual(code, 1);
+  const results = parseCSV(fs.readFileSync(path.join(dir, 'verify-results.csv'), 'utf8'), { delimiter: ',' });
+  const outcome = Object.fromEntries(results.slice(1).map(fields => [fields[0], fields[results[0].indexOf('result')]]));
+  assert.strictEqual(outcome['/product/blue-widget'], 'pass');
+  assert.strictEqual(outcome['/about-us/'], 'fail');
+});
+
+test('export writes the redirects of each old host to its own folder', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-mapper-'));
+  const oldUrlsFile = path.join(dir, 'old.csv');
+  fs.writeFileSync(oldUrlsFile, [
+    'sku,url',
+    'AB-100,https://old-a.test/product/blue-widget',
+    ',https://old-a.test/shop/garden/garden-hose',
+    'XY-1,https://old-b.test/product/same-page'
+  ].join('\n'));
+
+  const { code } = await runCli(t, ['map'], {
+    oldUrlsFile,
+    hostMappings: { 'old-a.test': 'https://shop.test', 'old-b.test': 'https://shop.test' },
+    rewriteRules: [{ name: 'shop-pages', from: '/shop/:section/:slug', to: '/product/:slug/', emit: true }],
+    exportFormats: ['nginx'],
+    exportPerHost: true
+  }, dir);
+
+  assert.strictEqual(code, 0);
+  assert.ok(fs.readFileSync(path.join(dir, 'url-mapping.csv'), 'utf8').includes('"old-b.test"'));
+  const rules = Object.fromEntries(['old-a.test', 'old-b.test'].map(host =>
+    [host, fs.readFileSync(path.join(dir, 'redirects', host, 'redirects.nginx.conf'), 'utf8')]));
+  assert.ok(rules['old-a.test'].includes('shop-pages'));
+  assert.ok(!rules['old-b.test'].includes('shop-pages'), 'pattern rules go to the hosts they redirect');
+});
+
+test('lint checks the mapping against existing redirects and merges them', async t => {
+  const { dir } = await runCli(t, ['map']);
+  fs.writeFileSync(path.join(dir, '.htaccess'), [
+    'RewriteEngine On',
+    'Redirect 301 /product/garden-hose /product/hose',
+    'RewriteRule ^/?product/red-gadget-large$ https://shop.test/product/gadget/ [R=301,L]',
+    'RedirectMatch 301 ^/old-blog/?$ /blog/',
+    'RewriteRule ^/?category/(.*)$ /c/$1 [R=301,L]'
+  ].join('\n'));
+  fs.writeFileSync(path.join(dir, '_redirects'), '/product/blue-widget /product/blue-widget-old/ 301\n');
+
+  const { code } = await runCli(t, ['lint', '--existing-redirects-file', '.htaccess'], {}, dir);
+
+  assert.strictEqual(code, 1);
+  const issues = parseCSV(fs.readFileSync(path.join(dir, 'redirect-conflicts.csv'), 'utf8'), { delimiter: ',' }).slice(1);
+  assert.deepStrictEqual(issues.map(fields => [fields[0], fields[1], fields[3]]), [
+    ['shadows_live_page', '/product/garden-hose', '.htaccess:2'],
+    ['redundant', '/product/red-gadget-large', 'url-mapping.csv'],
+    ['target_not_in_new_urls', '/old-blog', '.htaccess:4'],
+    ['target_not_in_new_urls', '/product-category/tools/', 'url-mapping.csv']
+  ]);
+  const merged = readMappingFile(path.join(dir, 'merged-redirects.csv'));
+  assert.strictEqual(merged.length, 7, 'the shadowing and redundant rules are dropped; the regex rule cannot be compared');
+  assert.strictEqual(merged[0].matchType, 'existing_redirect');
+
+  const netlify = await runCli(t, ['lint', '--existing-redirects-file', '_redirects'], {}, dir);
+  assert.strictEqual(netlify.code, 1);
+  assert.ok(fs.readFileSync(path.join(dir, 'redirect-conflicts.csv'), 'utf8')
+    .includes('"conflicting_targets","/product/blue-widget","/product/blue-widget-old/","_redirects:1","https://shop.test/product/widget-blue/","url-mapping.csv"'));
+});
+
+test('diff fails on changed approved redirects only when asked to', async t => {
+  const { dir } = await runCli(t, ['map']);
+  const mappingFile = path.join(dir, 'url-mapping.csv');
+  fs.writeFileSync(mappingFile, fs.readFileSync(mappingFile, 'utf8').replace('"sku_match"', '"manual_override"'));
+
+  const lenient = await runCli(t, ['diff'], {}, dir);
+  assert.strictEqual(lenient.code, 0);
+
+  fs.writeFileSync(mappingFile, fs.readFileSync(mappingFile, 'utf8').replace('"sku_match"', '"manual_override"'));
+  const strict = await runCli(t, ['diff', '--fail-on-approved-changes'], {}, dir);
+  assert.strictEqual(strict.code, 1);
+  assert.ok(fs.readFileSync(path.join(dir, 'mapping-diff.csv'), 'utf8').includes('"match_type_changed","/product/blue-widget"'));
+});
+
+test('streaming writes the same files as a run in memory', async t => {
+  const inMemory = await runCli(t, ['map']);
+  const streamed = await runCli(t, ['map', '--streaming', '--batch-size', '2']);
+
+  assert.strictEqual(streamed.code, 0);
+  ['url-mapping.csv', 'skipped-loops.csv'].forEach(file => {
+    assert.strictEqual(
+      fs.readFileSync(path.join(streamed.dir, file), 'utf8'),
+      fs.readFileSync(path.join(inMemory.dir, file), 'utf8'),
+      file
+    );
+  });
+  assert.match(streamed.output, /7 old URLs mapped \(100% of old-urls\.csv/);
+  const counts = dir => JSON.parse(fs.readFileSync(path.join(dir, 'mapping-summary.json'), 'utf8')).counts;
+  assert.deepStrictEqual(counts(streamed.dir), counts(inMemory.dir));
+  assert.strictEqual(counts(streamed.dir).reassigned, null, 'nothing is reassigned without one-to-one assignment');
+});
+
+test('usage and configuration errors exit with code 2', async t => {
+  assert.strictEqual((await runCli(t, ['map', '--no-such-flag'])).code, 2);
+  assert.strictEqual((await runCli(t, ['map'], { similarityThreshold: 2 })).code, 2);
+  assert.strictEqual((await runCli(t, ['launch'])).code, 2);
+  assert.strictEqual((await runCli(t, ['map', '--streaming', '--assignment', 'one-to-one'])).code, 2);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CSVParser, parseCSV } = require('../lib/csv');
+
+// A file with a byte order mark, CRLF line endings, quoted delimiters, escaped quotes and an
+// embedded newline
+const TEXT = '\uFEFFsku,url,name\r\n' +
+  'A1,/a,"Widget, blue"\r\n' +
+  'B2,"/b?x=1,2","The ""best"" gadget"\r\n' +
+  'C3,/c,"Two\r\nlines"\r\n';
+
+const ROWS = [
+  ['sku', 'url', 'name'],
+  ['A1', '/a', 'Widget, blue'],
+  ['B2', '/b?x=1,2', 'The "best" gadget'],
+  ['C3', '/c', 'Two\r\nlines']
+];
+
+test('parses quoted delimiters, escaped quotes, embedded newlines, a BOM and CRLF', () => {
+  assert.deepStrictEqual(parseCSV(TEXT, { delimiter: ',' }), ROWS);
+});
+
+test('parses records split across chunks at any position', () => {
+  for (let split = 1; split < TEXT.length; split++) {
+    const parser = new CSVParser({ delimiter: ',' });
+    const rows = [...parser.push(TEXT.slice(0, split)), ...parser.push(TEXT.slice(split)), ...parser.end()];
+    assert.deepStrictEqual(rows, ROWS, `split at ${split}`);
+  }
+
+  const parser = new CSVParser({ delimiter: ',' });
+  const rows = [...TEXT].flatMap(ch => parser.push(ch)).concat(parser.end());
+  assert.deepStrictEqual(rows, ROWS, 'one character per chunk');
+});
+
+test('a space delimiter splits each line at its first space only', () => {
+  assert.deepStrictEqual(parseCSV('SKU1 /product/blue widget\n  SKU2   /p\n"A 3" /q\n', { delimiter: ' ' }), [
+    ['SKU1', '/product/blue widget'],
+    ['SKU2', '/p'],
+    ['A 3', '/q']
+  ]);
+});
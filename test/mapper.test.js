@@ -0,0 +1,227 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createMapper, cleanProductName, parsePageContent } = require('..');
+const { ConfigError } = require('../lib/config');
+const { parseCSV } = require('../lib/csv');
+
+// Read a sku,url fixture into mapper entries
+function readFixture(name) {
+  const rows = parseCSV(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'), { delimiter: ',' });
+  return rows.slice(1).map(([sku, url]) => ({ sku, url }));
+}
+
+const OLD = readFixture('old-urls.csv');
+const NEW = readFixture('new-urls.csv');
+const OPTIONS = {
+  newSiteBaseUrl: 'https://shop.test',
+  categoryMappings: { tools: '/tools/' },
+  skuQueryParams: ['product_id']
+};
+
+// The redirect for an old URL, or undefined
+function redirectFor(result, oldURL) {
+  return result.redirects.find(row => row.oldURL === oldURL);
+}
+
+test('matches by SKU, SKU variant and product name', () => {
+  const result = createMapper(OPTIONS).map(OLD, NEW);
+
+  assert.strictEqual(redirectFor(result, '/product/blue-widget').newURL, 'https://shop.test/product/widget-blue/');
+  assert.strictEqual(redirectFor(result, '/product/blue-widget').matchType, 'sku_match');
+  assert.strictEqual(redirectFor(result, '/product/red-gadget-large').matchType, 'sku_variant_match');
+
+  const byName = redirectFor(result, '/product/stainless-steel-water-bottle-750ml');
+  assert.strictEqual(byName.newURL, 'https://shop.test/product/steel-water-bottle-750ml/');
+  assert.strictEqual(byName.matchType, 'high_confidence_match');
+  assert.strictEqual(byName.similarity, '0.90');
+});
+
+test('maps categories and sends other pages to fallbacks', () => {
+  const result = createMapper(OPTIONS).map(OLD, NEW);
+
+  assert.strictEqual(redirectFor(result, '/product-category/tools/').newURL, 'https://shop.test/tools/');
+  assert.strictEqual(result.categories.length, 1);
+  assert.strictEqual(redirectFor(result, '/about-us/').matchType, 'fallback_homepage');
+  assert.deepStrictEqual(result.unmapped, []);
+});
+
+test('reports why URLs stay unmapped when there is no fallback', () => {
+  const result = createMapper({ ...OPTIONS, fallbackChain: [], categoryMappings: {} }).map(OLD, NEW);
+  const reasons = Object.fromEntries(result.unmapped.map(row => [row.oldURL, row.reason]));
+
+  assert.deepStrictEqual(reasons, {
+    '/product-category/tools/': 'no_category_mapping',
+    '/about-us/': 'not_product_or_category'
+  });
+});
+
+test('matches categories to new category pages by slug and by where their products went', () => {
+  const newEntries = NEW.concat([
+    { sku: '', url: 'https://shop.test/category/hand-tools/' },
+    { sku: '', url: 'https://shop.test/category/outdoor/' },
+    { sku: '', url: 'https://shop.test/category/kitchen/' },
+    { sku: 'HZ-1', url: 'https://shop.test/product/hose-reel/', category: 'outdoor' }
+  ]);
+  const oldEntries = [
+    { sku: '', url: '/product-category/tools/' },
+    { sku: '', url: '/product-category/hand-tools-sale/' },
+    { sku: '', url: '/product-category/garden/' },
+    { sku: 'HZ-1', url: '/product-category/garden/reel' },
+    { sku: '', url: '/product-category/misc/' }
+  ];
+  const result = createMapper({ ...OPTIONS, fallbackChain: [] }).map(oldEntries, newEntries);
+
+  assert.strictEqual(redirectFor(result, '/product-category/tools/').matchType, 'category_redirect', 'categoryMappings win');
+  assert.strictEqual(redirectFor(result, '/product-category/hand-tools-sale/').newURL, 'https://shop.test/category/hand-tools/');
+  const garden = redirectFor(result, '/product-category/garden/');
+  assert.strictEqual(garden.matchType, 'category_auto_match');
+  assert.strictEqual(garden.newURL, 'https://shop.test/category/outdoor/');
+  assert.match(garden.breakdown, /1 of 1 mapped products/);
+  assert.deepStrictEqual(result.unmapped, [{ oldURL: '/product-category/misc/', reason: 'no_category_match', sku: '' }]);
+});
+
+test('matches rebranded pages by their saved content', () => {
+  const page = (title, head = '') => parsePageContent(`<html><head><title>${title} | Shop</title>${head}</head><body><h1>${title}</h1></body></html>`);
+  const productData = data => `<script type="application/ld+json">${JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', ...data })}</script>`;
+  const oldEntries = [
+    { sku: '', url: '/product/vibac-426-regular-duty-2in', content: page('Tan Hot Melt Hand Tape 2in x 110yd') },
+    { sku: '', url: '/product/abc-old', content: page('Clearance Item', productData({ offers: { gtin13: '0012345678905' } })) },
+    { sku: '', url: '/product/blue-widget', content: page('Blue Widget', '<link rel="canonical" href="https://shop.test/product/widget-blue/">') },
+    { sku: '', url: '/product/green-garden-hose', content: page('Kitchen Sink') }
+  ];
+  const newEntries = NEW.concat([
+    { sku: '', url: 'https://shop.test/product/tan-hand-tape-2in/', content: page('Tan Hot Melt Hand Tape 2in x 110yd') },
+    { sku: '', url: 'https://shop.test/product/widget-xl/', content: page('Widget XL', productData({ gtin: '12345678905' })) }
+  ]);
+  const result = createMapper(OPTIONS).map(oldEntries, newEntries);
+
+  const rebranded = redirectFor(result, '/product/vibac-426-regular-duty-2in');
+  assert.strictEqual(rebranded.newURL, 'https://shop.test/product/tan-hand-tape-2in/');
+  assert.strictEqual(rebranded.matchType, 'content_match');
+  assert.match(rebranded.breakdown, /^h1 same words 1\.00/);
+  assert.strictEqual(redirectFor(result, '/product/abc-old').newURL, 'https://shop.test/product/widget-xl/');
+  assert.strictEqual(redirectFor(result, '/product/abc-old').breakdown, 'schema.org gtin 0012345678905');
+  assert.strictEqual(redirectFor(result, '/product/blue-widget').breakdown, 'canonical https://shop.test/product/widget-blue/');
+  assert.strictEqual(redirectFor(result, '/product/green-garden-hose').matchType, 'high_confidence_match', 'a page name that matches nothing leaves the slug match');
+});
+
+test('skips redirects that point at the same page', () => {
+  const result = createMapper(OPTIONS).map(OLD, NEW);
+
+  assert.strictEqual(redirectFor(result, '/product/same-page'), undefined);
+  assert.deepStrictEqual(result.loops.map(loop => [loop.oldURL, loop.reason]), [['/product/same-page', 'identical_urls']]);
+});
+
+test('flattens chains through existing redirects and drops cycles', () => {
+  const existingRedirects = [
+    { oldURL: 'https://shop.test/product/widget-blue/', newURL: 'https://shop.test/product/widget-blue-v2/' },
+    { oldURL: 'https://shop.test/product/gadget/', newURL: '/product/red-gadget-large' }
+  ];
+  const result = createMapper(OPTIONS).map(OLD, NEW, { existingRedirects });
+
+  assert.strictEqual(redirectFor(result, '/product/blue-widget').newURL, 'https://shop.test/product/widget-blue-v2/');
+  assert.strictEqual(result.stats.flattened, 1);
+  assert.strictEqual(redirectFor(result, '/product/red-gadget-large'), undefined);
+  assert.ok(result.loops.some(loop => loop.oldURL === '/product/red-gadget-large' && loop.reason === 'redirect_cycle'));
+});
+
+test('applies overrides before matching', () => {
+  const overrides = [
+    { oldURL: '/product/blue-widget', newURL: 'https://shop.test/product/garden-hose/', exclude: false },
+    { oldURL: '/about-us', newURL: '', exclude: true }
+  ];
+  const result = createMapper(OPTIONS).map(OLD, NEW, { overrides });
+
+  assert.strictEqual(redirectFor(result, '/product/blue-widget').newURL, 'https://shop.test/product/garden-hose/');
+  assert.strictEqual(redirectFor(result, '/product/blue-widget').matchType, 'manual_override');
+  assert.deepStrictEqual(result.unmapped.map(row => row.reason), ['excluded']);
+});
+
+test('normalises query strings and reads SKUs from them', () => {
+  const result = createMapper(OPTIONS).map(OLD, NEW);
+  const row = redirectFor(result, '/index.php?route=product&product_id=555');
+
+  assert.ok(row, 'tracking parameters are dropped from the old URL');
+  assert.strictEqual(row.newURL, 'https://shop.test/product/desk-lamp/');
+  assert.strictEqual(row.sku, '555');
+});
+
+test('returns counts and match type totals in stats', () => {
+  const { stats } = createMapper(OPTIONS).map(OLD, NEW);
+
+  assert.strictEqual(stats.oldUrls, 7);
+  assert.strictEqual(stats.mapped, 4);
+  assert.strictEqual(stats.fallbacks, 1);
+  assert.strictEqual(stats.loops, 1);
+  assert.deepStrictEqual(stats.matchTypes, {
+    sku_match: 2,
+    sku_variant_match: 1,
+    high_confidence_match: 1,
+    fallback_homepage: 1
+  });
+});
+
+test('gives the same matches with brute-force candidate retrieval', () => {
+  const indexed = createMapper(OPTIONS).map(OLD, NEW);
+  const bruteForce = createMapper({ ...OPTIONS, candidateRetrieval: 'brute-force' }).map(OLD, NEW);
+
+  assert.deepStrictEqual(bruteForce.redirects, indexed.redirects);
+});
+
+test('matches within the same locale and maps old hosts to new base URLs', () => {
+  const newEntries = [
+    { sku: 'AB-100', url: 'https://shop.test/en/product/widget-blue/' },
+    { sku: 'AB-100', url: 'https://shop.test/fr/product/widget-blue/' },
+    { sku: '', url: 'https://shop.test/en/product/garden-hose-green/' },
+    { sku: '', url: 'https://shop.test/fr/product/garden-hose/' }
+  ];
+  const oldEntries = [
+    { sku: 'AB-100', url: 'https://old-shop.test/product/blue-widget' },
+    { sku: 'AB-100', url: 'https://old-shop.fr/product/blue-widget' },
+    { sku: '', url: '/fr/product/garden-hose-green' },
+    { sku: '', url: 'https://old-shop.fr/product-category/tools/' }
+  ];
+  const result = createMapper({
+    ...OPTIONS,
+    localePrefixes: ['en', 'fr'],
+    hostMappings: { 'old-shop.test': 'https://shop.test/en', 'old-shop.fr': 'https://shop.test/fr' }
+  }).map(oldEntries, newEntries);
+
+  assert.strictEqual(redirectFor(result, 'https://old-shop.test/product/blue-widget').newURL, 'https://shop.test/en/product/widget-blue/');
+  assert.strictEqual(redirectFor(result, 'https://old-shop.fr/product/blue-widget').newURL, 'https://shop.test/fr/product/widget-blue/');
+  assert.strictEqual(redirectFor(result, '/fr/product/garden-hose-green').newURL, 'https://shop.test/fr/product/garden-hose/');
+  assert.strictEqual(redirectFor(result, 'https://old-shop.fr/product-category/tools/').newURL, 'https://shop.test/fr/tools/');
+  assert.deepStrictEqual(result.duplicateSkus, [], 'the same SKU in two locales is not a duplicate');
+});
+
+test('gives locales their own base URL', () => {
+  const result = createMapper({ ...OPTIONS, detectLocales: true, localeBaseUrls: { de: 'https://shop.de' } })
+    .map([{ sku: '', url: '/de/about-us/' }, { sku: '', url: '/en-gb/product-category/tools/' }], NEW);
+
+  assert.strictEqual(redirectFor(result, '/de/about-us/').newURL, 'https://shop.de/');
+  assert.strictEqual(redirectFor(result, '/en-gb/product-category/tools/').newURL, 'https://shop.test/en-gb/tools/');
+});
+
+test('does not touch the filesystem', t => {
+  const writeFileSync = t.mock.method(fs, 'writeFileSync');
+  const readFileSync = t.mock.method(fs, 'readFileSync');
+
+  createMapper(OPTIONS).map(OLD, NEW);
+
+  assert.strictEqual(writeFileSync.mock.callCount(), 0);
+  assert.strictEqual(readFileSync.mock.callCount(), 0);
+});
+
+test('rejects invalid options', () => {
+  assert.throws(() => createMapper({ similarityTreshold: 0.4 }), ConfigError);
+  assert.throws(() => createMapper({ similarityThreshold: 0.9, highConfidenceThreshold: 0.8 }), ConfigError);
+});
+
+test('cleanProductName strips sizes and numbered suffixes', () => {
+  assert.strictEqual(cleanProductName('poly-mailer-10x13'), 'poly-mailer');
+  assert.strictEqual(cleanProductName('trash-bags-33-gal'), 'trash-bags');
+  assert.strictEqual(cleanProductName('packing-tape-2'), 'packing-tape');
+  assert.strictEqual(cleanProductName(''), '');
+});
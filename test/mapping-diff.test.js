@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffMappings } = require('../lib/mapping-diff');
+
+const key = url => url.toLowerCase();
+
+test('reports every change of an old URL', () => {
+  const { changes, counts, approvedChanges } = diffMappings(
+    [{ oldURL: '/a', newURL: '/new-a', matchType: 'manual_override', similarity: '1.00' }],
+    [{ oldURL: '/a', newURL: '/other-a', matchType: 'name_match', similarity: '0.82' }],
+    { key, approvedMatchTypes: ['manual_override'] }
+  );
+
+  assert.deepStrictEqual(changes.map(row => [row.change, row.oldURL]), [
+    ['retargeted', '/a'],
+    ['match_type_changed', '/a'],
+    ['similarity_changed', '/a']
+  ]);
+  assert.strictEqual(counts.retargeted, 1);
+  assert.strictEqual(approvedChanges, 1, 'one approved redirect changed');
+});
+
+test('reports a mapped URL that became a loop as a new loop only', () => {
+  const { changes } = diffMappings(
+    [
+      { oldURL: '/a', newURL: '/new-a', matchType: 'exact_match', similarity: '1.00' },
+      { oldURL: '/b', newURL: '/new-b', matchType: 'exact_match', similarity: '1.00' }
+    ],
+    [],
+    { key, currentLoops: [{ oldURL: '/a', newURL: '/a/', reason: 'same_page' }] }
+  );
+
+  assert.deepStrictEqual(changes.map(row => [row.change, row.oldURL, row.previousURL]), [
+    ['removed', '/b', '/new-b'],
+    ['new_loop', '/a', '/new-a']
+  ]);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseApache } = require('../lib/redirect-import');
+
+test('reads Apache Redirect lines with and without a status', () => {
+  const { redirects, skipped } = parseApache([
+    'Redirect /plain /new-plain',
+    'Redirect permanent /kept /new-kept',
+    'Redirect 308 /moved /new-moved',
+    'RedirectTemp /later /new-later'
+  ].join('\n'), '.htaccess');
+
+  assert.deepStrictEqual(redirects.map(({ oldURL, newURL, status }) => [oldURL, newURL, status]), [
+    ['/plain', '/new-plain', 301],
+    ['/kept', '/new-kept', 301],
+    ['/moved', '/new-moved', 308],
+    ['/later', '/new-later', 302]
+  ]);
+  assert.strictEqual(skipped.length, 0);
+});
+
+test('skips Apache rules that answer with a status other than a redirect', () => {
+  const { redirects, skipped } = parseApache([
+    'Redirect gone /old-page',
+    'Redirect 410 /other',
+    'RedirectMatch 410 ^/retired/?$',
+    'RewriteRule ^/?dropped$ - [R=404,L]',
+    'RewriteRule ^/?removed$ /elsewhere [R=410,L]'
+  ].join('\n'), '.htaccess');
+
+  assert.deepStrictEqual(redirects, []);
+  assert.deepStrictEqual(skipped.map(rule => rule.origin), ['.htaccess:1', '.htaccess:2', '.htaccess:3', '.htaccess:5']);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startReviewServer } = require('../lib/review-server');
+
+// GET a path from the server with the given Host header, resolving with the status code
+function getStatus(port, pathname, host) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: pathname, headers: { Host: host } }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    }).on('error', reject);
+  });
+}
+
+test('refuses requests whose Host header is not the address it listens on', async t => {
+  const server = await startReviewServer({ redirects: [], unmapped: [] }, {
+    host: '127.0.0.1',
+    port: 0,
+    overrides: [],
+    overridesFile: 'overrides.csv',
+    outputFile: 'url-mapping.csv',
+    key: url => url
+  });
+  t.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+  const { port } = server.address();
+
+  assert.strictEqual(await getStatus(port, '/api/rows', `127.0.0.1:${port}`), 200);
+  assert.strictEqual(await getStatus(port, '/api/rows', `localhost:${port}`), 200);
+  assert.strictEqual(await getStatus(port, '/api/rows', `attacker.test:${port}`), 403);
+  assert.strictEqual(await getStatus(port, '/', `127.0.0.1:${port + 1}`), 403);
+});
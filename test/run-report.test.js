@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RunReport, renderReport } = require('../lib/run-report');
+
+test('a limit keeps the most visited rows of each list and the full counts', () => {
+  const report = new RunReport({ limit: 2 });
+  [3, 9, 1, 9, 5, 7].forEach((hits, index) => {
+    report.addUnmapped({ oldURL: `/unmapped-${index}`, reason: 'no_match', hits });
+    report.addLoop({ oldURL: `/loop-${index}`, newURL: `/loop-${index}/`, reason: 'identical_urls', hits });
+  });
+
+  const summary = report.summarize({ stats: { oldUrls: 12, totalMs: 5 }, newEntries: [], accessLog: {}, config: {} });
+
+  assert.deepStrictEqual(summary.unmapped.map(row => row.oldURL), ['/unmapped-1', '/unmapped-3']);
+  assert.deepStrictEqual(summary.loops.map(row => row.oldURL), ['/loop-0', '/loop-1'], 'loops are listed in the order found');
+  assert.strictEqual(summary.counts.unmapped, 6);
+  assert.strictEqual(summary.counts.loops, 6);
+  assert.ok(renderReport(summary).includes('<h2>Unmapped URLs (6)</h2><details open><summary>Show 2 of 6</summary>'));
+});
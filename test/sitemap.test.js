@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readSitemap } = require('../lib/sitemap');
+
+const SITEMAPS = path.join(__dirname, 'fixtures', 'sitemaps');
+
+// Write a chain of nested sitemap indexes ending in a sitemap with one URL, returning the outermost index
+function writeIndexChain(t, indexes) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-mapper-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, `level-${indexes}.xml`),
+    '<urlset><url><loc>https://old.test/deep</loc></url></urlset>');
+  for (let level = indexes - 1; level >= 0; level--) {
+    fs.writeFileSync(path.join(dir, `level-${level}.xml`),
+      `<sitemapindex><sitemap><loc>https://old.test/level-${level + 1}.xml</loc></sitemap></sitemapindex>`);
+  }
+  return path.join(dir, 'level-0.xml');
+}
+
+test('follows a sitemap index to plain and gzipped sitemaps', () => {
+  const warnings = [];
+  const entries = readSitemap(path.join(SITEMAPS, 'sitemap-index.xml'), 0, message => warnings.push(message));
+
+  assert.deepStrictEqual(entries.map(entry => entry.url), [
+    'https://old.test/product/blue-widget',
+    'https://old.test/product/red-gadget?size=l&color=red',
+    'https://old.test/about',
+    'https://old.test/news/launch'
+  ]);
+  assert.strictEqual(entries[0].lastmod, '2024-05-01');
+  assert.deepStrictEqual(entries[0].images, ['https://old.test/img/blue-widget.jpg']);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('detects gzip by its magic number rather than the file extension', () => {
+  assert.ok(fs.readFileSync(path.join(SITEMAPS, 'news.xml')).subarray(0, 2).equals(Buffer.from([0x1f, 0x8b])));
+  assert.deepStrictEqual(readSitemap(path.join(SITEMAPS, 'news.xml')).map(entry => entry.url), ['https://old.test/news/launch']);
+});
+
+test('follows at most five nested sitemap indexes', t => {
+  assert.deepStrictEqual(readSitemap(writeIndexChain(t, 5)).map(entry => entry.url), ['https://old.test/deep']);
+
+  const warnings = [];
+  assert.deepStrictEqual(readSitemap(writeIndexChain(t, 6), 0, message => warnings.push(message)), []);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /nested too deeply, not following .*level-5\.xml/);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { verifyRedirects } = require('../lib/verify');
+
+// Redirects served by the stub server: path -> [status, location]
+const ROUTES = {
+  '/product/blue-widget': [301, '/product/widget-blue/'],
+  '/product/red-gadget': [302, '/product/gadget/'],
+  '/product/wrong-target': [301, '/product/garden-hose/'],
+  '/product/broken': [301, '/product/missing/'],
+  '/product/chained': [301, '/product/blue-widget']
+};
+const PAGES = ['/product/widget-blue/', '/product/gadget/', '/product/garden-hose/'];
+
+// Start a local server answering ROUTES and PAGES, resolving with its base URL; every response waits
+// delay milliseconds, and stats.maxInFlight records the most requests handled at once
+async function startStubServer(t, { delay = 0, stats = { inFlight: 0, maxInFlight: 0 } } = {}) {
+  const server = http.createServer((request, response) => {
+    stats.inFlight++;
+    stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+    setTimeout(() => {
+      stats.inFlight--;
+      const route = ROUTES[request.url];
+      if (route) {
+        response.writeHead(route[0], { Location: route[1] });
+      } else {
+        response.writeHead(PAGES.includes(request.url) ? 200 : 404);
+      }
+      response.end();
+    }, delay);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('checks status, Location and destination of each redirect', async t => {
+  const baseUrl = await startStubServer(t);
+  const rows = [
+    { oldURL: '/product/blue-widget', newURL: 'https://shop.test/product/widget-blue/' },
+    { oldURL: '/product/red-gadget', newURL: 'https://shop.test/product/gadget/' },
+    { oldURL: '/product/wrong-target', newURL: 'https://shop.test/product/widget-blue/' },
+    { oldURL: '/product/broken', newURL: 'https://shop.test/product/missing/' },
+    { oldURL: '/product/chained', newURL: 'https://shop.test/product/widget-blue/' }
+  ];
+
+  const results = await verifyRedirects(rows, {
+    baseUrl,
+    newSiteBaseUrl: 'https://shop.test',
+    concurrency: 2,
+    timeout: 5000,
+    maxHops: 5
+  });
+  const byUrl = Object.fromEntries(results.map(result => [result.oldURL, result]));
+
+  assert.strictEqual(byUrl['/product/blue-widget'].passed, true);
+  assert.strictEqual(byUrl['/product/blue-widget'].finalStatus, 200);
+
+  assert.strictEqual(byUrl['/product/red-gadget'].passed, false, 'a 302 is not a permanent redirect');
+  assert.strictEqual(byUrl['/product/red-gadget'].locationOk, true);
+
+  assert.strictEqual(byUrl['/product/wrong-target'].locationOk, false);
+  assert.strictEqual(byUrl['/product/broken'].finalStatus, 404);
+
+  assert.strictEqual(byUrl['/product/chained'].passed, false);
+  assert.strictEqual(byUrl['/product/chained'].hops, 2);
+});
+
+test('gives up after too many hops', async t => {
+  const baseUrl = await startStubServer(t);
+  const [result] = await verifyRedirects([{ oldURL: '/product/chained', newURL: '/product/blue-widget' }], {
+    baseUrl,
+    concurrency: 1,
+    timeout: 5000,
+    maxHops: 1
+  });
+
+  assert.strictEqual(result.passed, false);
+  assert.match(result.error, /more than 1 redirects/);
+});
+
+test('keeps to the concurrency limit', async t => {
+  const stats = { inFlight: 0, maxInFlight: 0 };
+  const baseUrl = await startStubServer(t, { delay: 20, stats });
+  const rows = Array.from({ length: 6 }, () => ({ oldURL: '/product/blue-widget', newURL: '/product/widget-blue/' }));
+
+  const results = await verifyRedirects(rows, { baseUrl, concurrency: 2, timeout: 5000, maxHops: 5 });
+
+  assert.ok(results.every(result => result.passed));
+  assert.strictEqual(stats.maxInFlight, 2);
+});
+
+test('reports requests that time out', async t => {
+  const baseUrl = await startStubServer(t, { delay: 500 });
+  const [result] = await verifyRedirects([{ oldURL: '/product/blue-widget', newURL: '/product/widget-blue/' }], {
+    baseUrl,
+    concurrency: 1,
+    timeout: 50,
+    maxHops: 5
+  });
+
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.error, 'timed out after 50ms');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileRewriteRules } = require('../lib/rewrite-rules');
+const { toRedirects } = require('../lib/writers/common');
+const apache = require('../lib/writers/apache');
+const nginx = require('../lib/writers/nginx');
+
+test('apache pattern rules escape % and $ in the target but keep back-references', () => {
+  const rules = compileRewriteRules([
+    { name: 'sale', from: '/sale/:slug', to: '/offers/50%25-off/:slug' },
+    { name: 'price', regex: '^/price/(\\d+)$', to: '/cost/$1/$usd' }
+  ]);
+
+  const lines = apache.write([], { config: { apacheRedirectStyle: 'rewrite' }, rules }).split('\n');
+
+  assert.ok(lines.includes('RewriteRule ^/?sale/([^/]+)/?$ /offers/50\\%25-off/$1 [R=301,L,NE]'));
+  assert.ok(lines.includes('RewriteRule ^/?price/(\\d+)$ /cost/$1/\\$usd [R=301,L,NE]'));
+});
+
+// Mapping rows with characters each server config treats specially
+const SPECIAL_ROWS = [
+  { oldURL: '/old page$', newURL: '/new page?x=$1&p=50%25', matchType: 'exact' },
+  { oldURL: '/search?q=a b', newURL: 'https://shop.test/find/', matchType: 'exact' },
+  { oldURL: '/a"quote', newURL: '/b;c', matchType: 'exact' }
+];
+
+// Export SPECIAL_ROWS with a writer, returning the lines after its header comments
+function exportLines(writer, settings) {
+  const config = { newSiteBaseUrl: 'https://shop.test/', apacheRedirectStyle: 'rewrite', ...settings };
+  return writer.write(toRedirects(SPECIAL_ROWS, config), { config }).split('\n').filter(line => line && !line.startsWith('#'));
+}
+
+test('apache escapes patterns and substitutions and resolves path-only or absolute targets', () => {
+  assert.deepStrictEqual(exportLines(apache, { exportTargetStyle: 'path' }), [
+    'RewriteEngine On',
+    'RewriteRule ^/?old\\x20page\\$$ /new\\%20page?x=\\$1&p=50\\%25 [R=301,L,NE]',
+    'RewriteCond %{QUERY_STRING} ^q=a\\x20b$',
+    'RewriteRule ^/?search$ /find/ [R=301,L,NE,QSD]',
+    'RewriteRule ^/?a\\x22quote$ /b;c [R=301,L,NE]'
+  ]);
+  assert.deepStrictEqual(exportLines(apache, { exportTargetStyle: 'absolute' }).slice(1, 4), [
+    'RewriteRule ^/?old\\x20page\\$$ https://shop.test/new\\%20page?x=\\$1&p=50\\%25 [R=301,L,NE]',
+    'RewriteCond %{QUERY_STRING} ^q=a\\x20b$',
+    'RewriteRule ^/?search$ https://shop.test/find/ [R=301,L,NE,QSD]'
+  ]);
+});
+
+test('apache Redirect lines quote arguments with spaces or quotes', () => {
+  assert.deepStrictEqual(exportLines(apache, { exportTargetStyle: 'auto', apacheRedirectStyle: 'redirect' }), [
+    'RewriteEngine On',
+    'Redirect 301 "/old page$" "/new page?x=$1&p=50%25"',
+    'Redirect 301 "/a\\"quote" /b;c',
+    'RewriteCond %{QUERY_STRING} ^q=a\\x20b$',
+    'RewriteRule ^/?search$ https://shop.test/find/ [R=301,L,NE,QSD]'
+  ]);
+});
+
+test('nginx quotes map entries, encodes $ in targets and resolves path-only or absolute targets', () => {
+  assert.deepStrictEqual(exportLines(nginx, { exportTargetStyle: 'path' }), [
+    'map $request_uri $redirect_uri {',
+    '    default "";',
+    '    "/old page$" "/new page?x=%241&p=50%25";',
+    '    "/search?q=a b" /find/;',
+    '    "/a\\"quote" "/b;c";',
+    '}'
+  ]);
+  assert.deepStrictEqual(exportLines(nginx, { exportTargetStyle: 'absolute' }).slice(2, 5), [
+    '    "/old page$" "https://shop.test/new page?x=%241&p=50%25";',
+    '    "/search?q=a b" https://shop.test/find/;',
+    '    "/a\\"quote" "https://shop.test/b;c";'
+  ]);
+});
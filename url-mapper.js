@@ -1,70 +1,134 @@
+#!/usr/bin/env node
 /**
  * Generic URL Mapper
  * 
  * This script maps URLs from an old site to a new site using SKU matching and name-based similarity.
  * It detects and prevents redirect loops, handles various CSV formats, and generates comprehensive reports.
  * 
- * Usage: node generic-url-mapper.js [options]
+ * Usage: url-mapper map --old old.csv --new new.csv --out mapping.csv [--config project.json]
+ *        (run "url-mapper --help" for all options)
  * 
- * Configuration: Edit the CONFIG object below to customize for your project.
+ * Configuration: Pass a .json or .js config file with --config, or override any setting with a flag.
+ * Defaults live in lib/config.js.
+ *
+ * Library use: require('url-mapper').createMapper(options).map(oldEntries, newEntries) runs the
+ * matching without reading or writing files (see lib/mapper.js); generateURLMapping(options) is
+ * the file-based run behind "url-mapper map".
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const readline = require('readline');
+const { performance } = require('perf_hooks');
+const { DEFAULT_CONFIG, ConfigError } = require('./lib/config');
+const { createMapper, cleanProductName } = require('./lib/mapper');
+const { MAPPING_HEADER, exportRedirects, mappingFields, readMappingFile, writeMappingFile } = require('./lib/writers');
+const { readSkuAliases } = require('./lib/sku');
+const { readOverrides } = require('./lib/overrides');
+const { diffMappings } = require('./lib/mapping-diff');
+const { RedirectGraph } = require('./lib/redirect-graph');
+const { findFanIn } = require('./lib/assignment');
+const { CSVFileWriter, detectDelimiter, parseCSV, readCSVFile } = require('./lib/csv');
+const { isSitemapFile, readSitemap } = require('./lib/sitemap');
+const { RunReport, renderReport } = require('./lib/run-report');
+const { readAccessLogs, selectLogOnlyEntries } = require('./lib/access-log');
+const { SnapshotReader, parsePageContent } = require('./lib/page-content');
+const { readRedirectFile } = require('./lib/redirect-import');
+const { BLOCKING_ISSUES, lintRedirects } = require('./lib/redirect-lint');
+
+// How often progress is reported while streaming, in milliseconds
+const PROGRESS_INTERVAL_MS = 5000;
+
+// Temporary files the old SKUs are spread over while streaming, so duplicates are looked for one file at a time
+const SKU_SPOOL_FILES = 16;
 
 // ======================================
-// CONFIGURATION - Edit these settings
+// UTILITY FUNCTIONS
 // ======================================
-const CONFIG = {
-  // Input/Output files
-  oldUrlsFile: 'old-urls.csv',
-  newUrlsFile: 'new-urls.csv',
-  outputFile: 'url-mapping.csv',
-  loopsFile: 'skipped-loops.csv',
-  
-  // Base URL for the new site (used for category redirects)
-  newSiteBaseUrl: 'https://example.com',
+
+// Logger that prints messages only in verbose mode
+function createLogger(config) {
+  return message => {
+    if (config.verbose) {
+      console.log(message);
+    }
+  };
+}
+
+// Find the index of a column given a header name or 1-based position
+function resolveColumn(spec, header, source) {
+  if (typeof spec === 'number' || /^\d+$/.test(String(spec))) {
+    return Number(spec) - 1;
+  }
   
-  // CSV parsing options
-  csvDelimiters: [',', '\t', ';', ' '],
-  hasHeaderRow: 'auto', // 'auto', true, or false
+  const index = header ? header.findIndex(name => name.toLowerCase() === String(spec).toLowerCase()) : -1;
+  if (index < 0) {
+    const available = header ? header.map(name => `"${name}"`).join(', ') : 'none (no header row)';
+    throw new Error(`Column "${spec}" not found in ${source}; available columns: ${available}`);
+  }
+  return index;
+}
+
+// Work out from the first row of a CSV whether it is a header, and which columns hold the SKU, URL and category
+// columns selects them by header name or position, e.g. { sku: 'Product SKU', url: 'Permalink' }
+// Returns { hasHeader, toEntry(fields, rowNumber) } where toEntry() gives a { sku, url } entry (plus category) or null
+function createEntryReader(firstRow, delimiter, columns, config, source, log) {
+  const firstLine = firstRow.join(delimiter);
+  const selectsByName = Object.values(columns).some(spec => !/^\d+$/.test(String(spec)));
+  let hasHeader = config.hasHeaderRow;
   
-  // Matching options
-  similarityThreshold: 0.5,      // Minimum similarity score to consider a match
-  highConfidenceThreshold: 0.8,  // Threshold for high confidence matches
-  mediumConfidenceThreshold: 0.6, // Threshold for medium confidence matches
+  if (hasHeader === 'auto') {
+    // Auto-detect header: if first line doesn't look like data
+    hasHeader = selectsByName || (
+      !config.productUrlPatterns.some(pattern => firstLine.includes(pattern)) && 
+      !firstLine.includes('http') &&
+      !firstLine.match(/^[A-Z]{2}\.\d+\.\d+/)
+    );
+  }
   
-  // URL patterns
-  productUrlPatterns: ['/product/', '/shop/'],
-  categoryUrlPatterns: ['/product-category/', '/category/', '/shop/'],
+  let header = null;
+  if (hasHeader === true) {
+    header = firstRow.map(name => name.trim());
+    log(`Skipping header row: ${firstLine}`);
+  }
   
-  // Category mappings (old category slug -> new category path)
-  categoryMappings: {
-    // Example: 'old-category': '/new-category-path/',
-  },
+  // Without an explicit selection, use "sku"/"url" headers if present, else SKU then URL by position
+  const findHeader = name => header ? header.findIndex(h => h.toLowerCase() === name) : -1;
+  const skuColumn = columns.sku !== undefined ? resolveColumn(columns.sku, header, source) : findHeader('sku');
+  const urlColumn = columns.url !== undefined ? resolveColumn(columns.url, header, source) : findHeader('url');
+  const categoryColumn = columns.category !== undefined ? resolveColumn(columns.category, header, source) : findHeader('category');
+  const positional = columns.url === undefined && urlColumn < 0;
   
-  // Batch processing to manage memory usage
-  batchSize: 250,
+  const toEntry = (fields, rowNumber) => {
+    const parts = fields.map(p => p.trim());
+    
+    let sku;
+    let url;
+    if (positional && skuColumn < 0) {
+      // A single column holds just the URL
+      [sku, url] = parts.length >= 2 ? parts : ['', parts[0]];
+    } else if (positional) {
+      sku = parts[skuColumn] || '';
+      url = parts[skuColumn === 0 ? 1 : 0];
+    } else {
+      sku = skuColumn >= 0 ? parts[skuColumn] || '' : '';
+      url = parts[urlColumn];
+    }
+    
+    if (!url) {
+      log(`Warning: Row ${rowNumber} has no URL: ${fields.join(delimiter)}`);
+      return null;
+    }
+    return categoryColumn >= 0 ? { sku, url, category: parts[categoryColumn] || '' } : { sku, url };
+  };
   
-  // Debug options
-  verbose: true,
-  showSamples: true,
-  sampleSize: 5
-};
-
-// ======================================
-// UTILITY FUNCTIONS
-// ======================================
-
-// Log message if verbose mode is enabled
-function log(message) {
-  if (CONFIG.verbose) {
-    console.log(message);
-  }
+  return { hasHeader: hasHeader === true, toEntry };
 }
 
 // Fetch and parse CSV data from local file
-async function fetchCSV(source) {
+// columns selects the SKU and URL columns by header name or position, e.g. { sku: 'Product SKU', url: 'Permalink' }
+async function fetchCSV(source, columns, config, log) {
   try {
     if (!fs.existsSync(source)) {
       throw new Error(`File not found: ${source}`);
@@ -74,78 +138,28 @@ async function fetchCSV(source) {
     log(`Read file: ${source} (${text.length} bytes)`);
     
     // Parse the CSV data
-    const lines = text.split('\n').filter(line => line.trim() !== '');
-    log(`Found ${lines.length} non-empty lines in ${source}`);
-    
-    // Determine if there's a header row
-    let startIndex = 0;
-    if (lines.length > 0) {
-      const firstLine = lines[0];
-      let hasHeader = CONFIG.hasHeaderRow;
-      
-      if (hasHeader === 'auto') {
-        // Auto-detect header: if first line doesn't look like data
-        hasHeader = !CONFIG.productUrlPatterns.some(pattern => firstLine.includes(pattern)) && 
-                   !firstLine.includes('http') &&
-                   !firstLine.match(/^[A-Z]{2}\.\d+\.\d+/);
-      }
-      
-      if (hasHeader === true) {
-        startIndex = 1;
-        log(`Skipping header row: ${firstLine}`);
-      }
-    }
+    const delimiter = detectDelimiter(text, config.csvDelimiters);
+    const rows = parseCSV(text, { delimiter });
+    log(`Found ${rows.length} rows in ${source} (delimiter: ${JSON.stringify(delimiter)})`);
     
-    // Parse each line
+    // Parse each row
     const entries = [];
-    for (let i = startIndex; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      // Detect delimiter and parse
-      let parts = null;
-      
-      // Try each configured delimiter
-      for (const delimiter of CONFIG.csvDelimiters) {
-        if (delimiter === ' ') {
-          // Special handling for space delimiter
-          const spaceIndex = line.indexOf(' ');
-          if (spaceIndex > 0) {
-            parts = [
-              line.substring(0, spaceIndex),
-              line.substring(spaceIndex + 1)
-            ];
-            break;
-          }
-        } else if (line.includes(delimiter)) {
-          parts = line.split(delimiter);
-          break;
+    if (rows.length > 0) {
+      const reader = createEntryReader(rows[0], delimiter, columns, config, source, log);
+      for (let i = reader.hasHeader ? 1 : 0; i < rows.length; i++) {
+        const entry = reader.toEntry(rows[i], i + 1);
+        if (entry) {
+          entries.push(entry);
         }
       }
-      
-      if (!parts) {
-        log(`Warning: Could not parse line: ${line}`);
-        continue;
-      }
-      
-      // Clean up parts
-      parts = parts.map(p => p.trim().replace(/^"|"$/g, ''));
-      
-      if (parts.length >= 2) {
-        const sku = parts[0];
-        const url = parts[1];
-        entries.push({ sku, url });
-      } else {
-        log(`Warning: Line has insufficient columns: ${line}`);
-      }
     }
     
     log(`Successfully parsed ${entries.length} entries from ${source}`);
     
     // Show sample entries
-    if (CONFIG.showSamples && entries.length > 0) {
+    if (config.showSamples && entries.length > 0) {
       log(`Sample entries from ${source}:`);
-      entries.slice(0, CONFIG.sampleSize).forEach(entry => {
+      entries.slice(0, config.sampleSize).forEach(entry => {
         log(`  SKU: ${entry.sku}, URL: ${entry.url}`);
       });
     }
@@ -157,450 +171,834 @@ async function fetchCSV(source) {
   }
 }
 
-// Extract product name from URL
-function extractProductName(url) {
+// Read a CSV of entries without loading it whole, calling onBatch(entries, progress) for every
+// config.batchSize entries; progress is { bytesRead, totalBytes } of the file read so far
+async function readEntriesInBatches(source, columns, config, log, onBatch) {
+  // The delimiter is detected from the start of the file, as fetchCSV() does for the whole text
+  const fd = fs.openSync(source, 'r');
+  const start = Buffer.alloc(64 * 1024);
+  const startBytes = fs.readSync(fd, start, 0, start.length, 0);
+  fs.closeSync(fd);
+  const delimiter = detectDelimiter(start.toString('utf8', 0, startBytes), config.csvDelimiters);
+  log(`Streaming ${source} (delimiter: ${JSON.stringify(delimiter)})`);
+
+  const progress = { bytesRead: 0, totalBytes: 0 };
+  const rows = readCSVFile(source, {
+    delimiter,
+    onProgress: (bytesRead, totalBytes) => Object.assign(progress, { bytesRead, totalBytes })
+  });
+
+  let reader = null;
+  let rowNumber = 0;
+  let batch = [];
+  for await (const fields of rows) {
+    rowNumber++;
+    if (!reader) {
+      reader = createEntryReader(fields, delimiter, columns, config, source, log);
+      if (reader.hasHeader) continue;
+    }
+
+    const entry = reader.toEntry(fields, rowNumber);
+    if (entry) {
+      batch.push(entry);
+    }
+    if (batch.length >= config.batchSize) {
+      onBatch(batch, progress);
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    onBatch(batch, progress);
+  }
+}
+
+// Fetch old or new site entries from a CSV file or an XML sitemap (.xml, .xml.gz or sitemap index)
+async function fetchEntries(source, columns, config, log) {
+  if (!isSitemapFile(source)) {
+    return fetchCSV(source, columns, config, log);
+  }
+  
   try {
-    // Handle URLs that don't start with http
-    const fullUrl = url.startsWith('http') ? url : `https://example.com${url}`;
-    const urlObj = new URL(fullUrl);
-    const path = urlObj.pathname;
-    
-    const segments = path.split('/').filter(s => s);
-    let productName = segments[segments.length - 1];
+    const entries = readSitemap(source);
+    log(`Successfully parsed ${entries.length} entries from sitemap ${source}`);
     
-    // Check for product URL patterns
-    for (const pattern of CONFIG.productUrlPatterns) {
-      if (path.includes(pattern)) {
-        const patternIndex = segments.indexOf(pattern.replace(/\//g, ''));
-        if (patternIndex >= 0 && patternIndex < segments.length - 1) {
-          productName = segments[patternIndex + 1];
-        } else {
-          // Use last segment as fallback
-          productName = segments[segments.length - 1];
-        }
-        break;
-      }
+    // Show sample entries
+    if (config.showSamples && entries.length > 0) {
+      log(`Sample entries from ${source}:`);
+      entries.slice(0, config.sampleSize).forEach(entry => {
+        log(`  SKU: ${entry.sku}, URL: ${entry.url}${entry.lastmod ? `, Last modified: ${entry.lastmod}` : ''}`);
+      });
     }
     
-    return cleanProductName(productName);
-  } catch (e) {
-    console.error(`Error extracting product name from URL: ${url}`, e);
-    return '';
+    return entries;
+  } catch (error) {
+    console.error(`Error reading sitemap: ${error.message}`);
+    return [];
   }
 }
 
-// Clean product name by removing specifications and common suffixes
-function cleanProductName(name) {
-  if (!name) return '';
-  
-  let cleaned = name.replace(/-[0-9]$/, '');
-  cleaned = cleaned.replace(/-\d+x\d+x\d+/, '');
-  cleaned = cleaned.replace(/-\d+x\d+/, '');
-  cleaned = cleaned.replace(/-\d+-?mil/, '');
-  cleaned = cleaned.replace(/-\d+-?inch/, '');
-  cleaned = cleaned.replace(/-\d+-?oz/, '');
-  cleaned = cleaned.replace(/-\d+-?lb/, '');
-  cleaned = cleaned.replace(/-\d+-?gal/, '');
-  cleaned = cleaned.replace(/-+$/, '');
-  
-  return cleaned;
+// Report files written row by row next to the mapping; apart from the diff, a report is only created
+// once it has a row
+const REPORTS = {
+  loops: {
+    file: 'loopsFile',
+    header: ['old_url', 'new_url', 'reason', 'old_name', 'new_name', 'sku', 'path'],
+    fields: ({ oldURL, newURL, reason, oldName, newName, sku, path: loopPath }) =>
+      [oldURL, newURL, reason, oldName, newName, sku, loopPath ? loopPath.join(' -> ') : ''],
+    saved: () => 'Potential redirect loops have been saved as'
+  },
+  unmapped: {
+    file: 'unmappedFile',
+    header: ['old_url', 'reason', 'sku', 'hits'],
+    fields: ({ oldURL, reason, sku, hits }) => [oldURL, reason, sku, hits],
+    saved: () => 'URLs without a target have been saved as'
+  },
+  duplicateSkus: {
+    file: 'duplicateSkusFile',
+    header: ['side', 'sku', 'count', 'urls'],
+    fields: ({ side, sku, entries }) => [side, sku, entries.length, entries.map(entry => entry.url).join(' | ')],
+    saved: () => 'Duplicate SKUs have been saved as'
+  },
+  fanIn: {
+    file: 'fanInFile',
+    header: ['new_url', 'redirects', 'match_types', 'old_urls'],
+    fields: ({ newURL, rows }) =>
+      [newURL, rows.length, [...new Set(rows.map(row => row.matchType))].join(' '), rows.map(row => row.oldURL).join(' | ')],
+    saved: config => `New URLs receiving ${config.fanInThreshold} or more redirects have been saved as`
+  },
+  accessLog: {
+    file: 'accessLogReportFile',
+    header: ['url', 'hits', 'last_status', 'statuses', 'top_referrers'],
+    fields: ({ url, hits, lastStatus, statuses, referrers }) => [
+      url, hits, lastStatus, Object.entries(statuses).map(([status, count]) => `${status}: ${count}`).join(' '),
+      referrers.slice(0, 5).map(referrer => `${referrer.url} (${referrer.count})`).join(' | ')
+    ],
+    saved: () => 'Old URLs found in the access logs have been saved as'
+  },
+  diff: {
+    file: 'diffFile',
+    header: ['change', 'old_url', 'previous_new_url', 'new_url', 'previous_match_type', 'match_type', 'previous_similarity', 'similarity', 'approved'],
+    fields: row => [
+      row.change, row.oldURL, row.previousURL, row.newURL, row.previousMatchType, row.matchType,
+      row.previousSimilarity, row.similarity, row.approved ? 'yes' : 'no'
+    ],
+    saved: () => 'Changes since the previous mapping have been saved as',
+    always: true
+  },
+  conflicts: {
+    file: 'conflictsFile',
+    header: ['issue', 'old_url', 'new_url', 'origin', 'other_new_url', 'other_origin', 'details'],
+    fields: ({ issue, oldURL, newURL, origin, otherURL, otherOrigin, details }) =>
+      [issue, oldURL, newURL, origin, otherURL, otherOrigin, details],
+    saved: () => 'Conflicts with the existing redirects have been saved as'
+  },
+  merged: {
+    file: 'mergedRedirectsFile',
+    header: ['old_url', 'new_url', 'match_type', 'similarity', 'origin'],
+    fields: ({ oldURL, newURL, matchType, similarity, origin }) => [oldURL, newURL, matchType, similarity, origin],
+    saved: () => 'Existing redirects merged with the mapping have been saved as',
+    always: true
+  }
+};
+
+// Open one of the REPORTS for writing: write(item) adds a row, close() finishes the file and says where it is
+function openReport(name, config) {
+  const report = REPORTS[name];
+  const writer = new CSVFileWriter(path.resolve(config[report.file]), report.header, { lazy: !report.always });
+  return {
+    write: item => writer.write(report.fields(item)),
+    close: () => {
+      if (writer.close() > 0 || report.always) {
+        console.log(`\n${report.saved(config)}: ${writer.file}`);
+      }
+    }
+  };
 }
 
-// Calculate similarity between two product names
-function calculateNameSimilarity(name1, name2) {
-  if (!name1 || !name2) return 0;
-  
-  const n1 = name1.toLowerCase();
-  const n2 = name2.toLowerCase();
-  
-  if (n1 === n2) return 1.0;
-  if (n1.includes(n2)) return 0.9;
-  if (n2.includes(n1)) return 0.9;
-  
-  const words1 = new Set(n1.split('-'));
-  const words2 = new Set(n2.split('-'));
-  
-  const intersection = new Set([...words1].filter(x => words2.has(x)));
-  const union = new Set([...words1, ...words2]);
-  
-  return intersection.size / union.size;
+// The loops written to the loops file, read back after streaming: { oldURL, newURL, reason } each
+function readLoopsFile(file) {
+  const [, ...rows] = parseCSV(fs.readFileSync(file, 'utf8'), { delimiter: ',' });
+  return rows.map(([oldURL, newURL, reason]) => ({ oldURL, newURL, reason }));
 }
 
-// Check if two URLs are effectively the same (to prevent redirect loops)
-function areUrlsEffectivelySame(oldUrl, newUrl) {
-  try {
-    // Normalize URLs for comparison
-    const normalizeUrl = (url) => {
-      // Handle URLs that don't start with http
-      const fullUrl = url.startsWith('http') ? url : `https://example.com${url}`;
-      const urlObj = new URL(fullUrl);
-      
-      // Get path and remove trailing slashes
-      let path = urlObj.pathname;
-      path = path.replace(/\/+$/, '');
-      
-      // Convert to lowercase for case-insensitive comparison
-      return path.toLowerCase();
-    };
-    
-    const oldPath = normalizeUrl(oldUrl);
-    const newPath = normalizeUrl(newUrl);
-    
-    // Check if paths are identical
-    if (oldPath === newPath) {
-      return true;
+// Keep the first few items of a list for the run summary
+function keepSample(sample, items, config) {
+  items.slice(0, Math.max(config.sampleSize - sample.length, 0)).forEach(item => sample.push(item));
+}
+
+// The fields of a mapping row that url-mapping.csv needs, as a line of the temporary mapping file
+function partialLine({ oldURL, newURL, oldName, newName, matchType, similarity, sku, breakdown, runnersUp, hits }) {
+  const alternatives = runnersUp && runnersUp.map(candidate => ({ url: candidate.url, similarity: candidate.similarity }));
+  return `${JSON.stringify({ oldURL, newURL, oldName, newName, matchType, similarity, sku, breakdown, runnersUp: alternatives, hits })}\n`;
+}
+
+// The rows of a temporary mapping file written with partialLine()
+async function* readPartialFile(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line) {
+      yield JSON.parse(line);
     }
-    
-    // Check if one is just the other with a trailing slash
-    if (oldPath + '/' === newPath || oldPath === newPath + '/') {
-      return true;
+  }
+}
+
+// The rows of a temporary CSV file written with a CSVFileWriter, without its header
+async function* readSpoolFile(file) {
+  let header = true;
+  for await (const fields of readCSVFile(file, { delimiter: ',' })) {
+    if (!header) {
+      yield fields;
     }
-    
-    return false;
-  } catch (e) {
-    console.error(`Error comparing URLs: ${oldUrl} and ${newUrl}`, e);
-    return false;
+    header = false;
   }
 }
 
-// Process a single batch of URLs
-function processBatch(oldProducts, newProductIndex, skuIndex) {
-  const mapping = [];
-  const unmapped = [];
-  const categoryMappings = [];
-  const loopDetected = []; // Track potential redirect loops
-  
-  for (let i = 0; i < oldProducts.length; i++) {
-    const oldProduct = oldProducts[i];
-    
-    // Try SKU matching first for product pages
-    if (oldProduct.sku && skuIndex[oldProduct.sku]) {
-      const newProduct = skuIndex[oldProduct.sku];
-      
-      // Check for potential redirect loops
-      if (areUrlsEffectivelySame(oldProduct.url, newProduct.url)) {
-        loopDetected.push({
-          oldURL: oldProduct.url,
-          newURL: newProduct.url,
-          reason: 'identical_urls',
-          sku: oldProduct.sku
-        });
-        continue;
-      }
-      
-      mapping.push({
-        oldURL: oldProduct.url,
-        newURL: newProduct.url,
-        oldName: extractProductName(oldProduct.url),
-        newName: extractProductName(newProduct.url),
-        matchType: 'sku_match',
-        similarity: '1.00',
-        sku: oldProduct.sku
-      });
-      continue;
+// Which of count temporary files a value is spread to, by a small string hash
+function spoolIndex(value, count) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+  }
+  return hash % count;
+}
+
+// Look up old URLs in what readAccessLogs() read, by key()
+// Returns { take(entries), rest() }: take() gives listed old entries their hits (0 when the logs never saw them),
+// rest() the URLs only found in the logs that are worth mapping (see selectLogOnlyEntries()), most visited first
+function createTrafficLookup(accessLog, key, config, log) {
+  const byKey = new Map(accessLog.entries.map(entry => [key(entry.url), entry]));
+  return {
+    take: entries => entries.map(entry => {
+      const entryKey = key(entry.url);
+      const logged = byKey.get(entryKey);
+      byKey.delete(entryKey);
+      return { ...entry, hits: logged ? logged.hits : 0 };
+    }),
+    rest: () => {
+      const { stats } = accessLog;
+      const logOnly = selectLogOnlyEntries([...byKey.values()], config.accessLogMinHits, stats);
+      log(`- Mapping ${logOnly.length} URLs only found in the access logs; left out ${stats.redirected} already redirected ` +
+        `and ${stats.belowMinHits} below ${config.accessLogMinHits} hits`);
+      return logOnly;
     }
-    
-    // Determine if this is a product or category URL
-    const isProduct = CONFIG.productUrlPatterns.some(pattern => oldProduct.url.includes(pattern));
-    const isCategory = CONFIG.categoryUrlPatterns.some(pattern => oldProduct.url.includes(pattern));
-    
-    if (!isProduct) {
-      if (isCategory) {
-        try {
-          const urlObj = new URL(oldProduct.url.startsWith('http') ? oldProduct.url : `https://example.com${oldProduct.url}`);
-          const path = urlObj.pathname;
-          const segments = path.split('/').filter(s => s);
-          
-          // Try to find a category match
-          const categorySlug = segments.find(segment => 
-            Object.keys(CONFIG.categoryMappings).some(key => segment === key)
-          );
-          
-          if (categorySlug && CONFIG.categoryMappings[categorySlug]) {
-            const newCategoryUrl = `${CONFIG.newSiteBaseUrl}${CONFIG.categoryMappings[categorySlug]}`;
-            
-            // Check for potential redirect loops
-            if (areUrlsEffectivelySame(oldProduct.url, newCategoryUrl)) {
-              loopDetected.push({
-                oldURL: oldProduct.url,
-                newURL: newCategoryUrl,
-                reason: 'identical_category',
-              });
-              continue;
-            }
-            
-            categoryMappings.push({
-              oldURL: oldProduct.url,
-              newURL: newCategoryUrl,
-              matchType: 'category_redirect',
-              similarity: '1.00'
-            });
-          } else {
-            categoryMappings.push({
-              oldURL: oldProduct.url,
-              category: segments.join('/')
-            });
-          }
-        } catch (e) {
-          console.error(`Error processing category URL: ${oldProduct.url}`);
+  };
+}
+
+// Read the redirects already live from config.existingRedirectsFile, in any format readRedirectFile() knows
+function readExistingRedirects(config, log) {
+  const { format, redirects, skipped } = readRedirectFile(path.resolve(config.existingRedirectsFile));
+  log(`Loaded ${redirects.length} existing redirects from ${config.existingRedirectsFile} (${format})`);
+  if (skipped.length > 0) {
+    console.warn(`Warning: ${skipped.length} rules in ${config.existingRedirectsFile} cannot be compared and were left out (regular expressions, placeholders or conditions)`);
+    skipped.slice(0, config.sampleSize).forEach(rule => log(`- ${rule.origin}: ${rule.text} (${rule.reason})`));
+  }
+  return redirects;
+}
+
+// Lint the existing redirects together with the rows of a mapping file, then save the conflicts and the merged set
+// Returns lintRedirects()' { issues, merged, counts }
+function lintAndSave(existingRedirects, rows, mappingFile, newURLs, key, config) {
+  const lint = lintRedirects({
+    existing: existingRedirects,
+    mapping: rows.map(row => ({ ...row, origin: path.basename(mappingFile) })),
+    newURLs,
+    key
+  });
+
+  console.log(`\nMerged ${existingRedirects.length} existing redirects with ${rows.length} mapped redirects: ${lint.merged.length} redirects`);
+  Object.entries(lint.counts).forEach(([issue, count]) => {
+    console.log(`- ${issue.replace(/_/g, ' ')}: ${count}`);
+  });
+  if (config.showSamples) {
+    lint.issues.filter(row => BLOCKING_ISSUES.includes(row.issue)).slice(0, config.sampleSize).forEach(row => {
+      console.log(`  ${row.issue}: ${row.oldURL} → ${row.newURL} (${row.origin})${row.details ? `, ${row.details}` : ''}`);
+    });
+  }
+
+  const conflictsReport = openReport('conflicts', config);
+  lint.issues.forEach(row => conflictsReport.write(row));
+  conflictsReport.close();
+
+  const mergedReport = openReport('merged', config);
+  lint.merged.forEach(row => mergedReport.write(row));
+  mergedReport.close();
+  return lint;
+}
+
+// Map the old URLs file batch by batch, writing unmapped URLs and loops as they are found and the mapping
+// once chains are resolved. Mapped rows wait in a temporary file meanwhile, as do the old SKUs and the rows
+// for the fan-in report; in memory, only a key per old URL is kept to drop duplicates, plus the keys of
+// redirect targets (to resolve chains) and the old category URLs held back for automatic category matching.
+// oldSources: { traffic, snapshots } with a createTrafficLookup() for the access logs and a SnapshotReader for the
+// old pages' saved HTML, each or null; URLs only found in the logs are mapped after the file
+// Returns { stats, fanIn, duplicateSkus, samples }; the loops are only written to the loops file
+async function streamMapping(mapper, oldUrlsFile, newURLs, data, oldSources, reports, config, log) {
+  const { traffic, snapshots } = oldSources;
+  const runStarted = performance.now();
+  const key = url => mapper.key(url);
+  const graph = new RedirectGraph(data.existingRedirects, key);
+  const stats = { oldUrls: 0, mapped: 0, fallbacks: 0, unmapped: 0, categories: 0, loops: 0, matchTypes: {} };
+  const samples = { mappings: [], unmapped: [], loops: [] };
+  // A chain can only run through a mapped URL that some redirect points at, so the graph gets just those
+  // rows (and those replacing an existing redirect)
+  const targetKeys = new Set(data.existingRedirects.map(redirect => key(redirect.newURL)));
+  const existingKeys = new Set(data.existingRedirects.map(redirect => key(redirect.oldURL)));
+  let fanIn;
+  let duplicateSkus;
+
+  mapper.prepare(newURLs, data);
+
+  // Hits and saved page content for a batch of old entries
+  const withDetails = entries => {
+    const withHits = traffic ? traffic.take(entries) : entries;
+    return snapshots ? snapshots.attach(withHits) : withHits;
+  };
+
+  const recordLoops = rows => {
+    rows.forEach(loop => {
+      reports.loops.write(loop);
+      reports.run.addLoop(loop);
+    });
+    stats.loops += rows.length;
+    keepSample(samples.loops, rows, config);
+  };
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-mapper-'));
+  try {
+    // Mapped rows and category redirects are kept apart so the output lists them in the same order as a run in memory
+    const partial = { mappings: path.join(tempDir, 'mappings.ndjson'), categories: path.join(tempDir, 'categories.ndjson') };
+    const partialFds = { mappings: fs.openSync(partial.mappings, 'w'), categories: fs.openSync(partial.categories, 'w') };
+    // Old SKUs with their position, spread over several files so each can be checked for duplicates on its own
+    const skuSpools = Array.from({ length: SKU_SPOOL_FILES }, (_, index) =>
+      new CSVFileWriter(path.join(tempDir, `skus-${index}.csv`), ['position', 'sku', 'url'], { lazy: true }));
+    let lastReport = performance.now();
+    const reportProgress = (bytesRead, totalBytes) => {
+      lastReport = performance.now();
+      const percent = totalBytes ? Math.floor(bytesRead / totalBytes * 100) : 100;
+      const rate = Math.round(stats.oldUrls / ((lastReport - runStarted) / 1000));
+      const source = oldUrlsFile ? ` (${percent}% of ${path.basename(oldUrlsFile)}, ${rate} URLs/s)` : ` (${rate} URLs/s)`;
+      console.log(`- ${stats.oldUrls} old URLs mapped${source}`);
+    };
+
+    const recordBatch = batch => {
+      batch.entries.forEach(({ sku, url }, index) => {
+        if (sku) {
+          skuSpools[spoolIndex(mapper.skuKey(sku), SKU_SPOOL_FILES)].write([stats.oldUrls + index, sku, url]);
+        }
+      });
+      stats.oldUrls += batch.entries.length;
+
+      const lines = [];
+      batch.mapping.forEach(row => {
+        targetKeys.add(key(row.newURL));
+        lines.push(partialLine(row));
+        stats.matchTypes[row.matchType] = (stats.matchTypes[row.matchType] || 0) + 1;
+        if (row.matchType.startsWith('fallback_')) {
+          stats.fallbacks++;
+        } else {
+          stats.mapped++;
         }
+      });
+      fs.writeSync(partialFds.mappings, lines.join(''));
+      keepSample(samples.mappings, batch.mapping, config);
+
+      const categoryRows = batch.categoryMappings.filter(row => row.newURL);
+      categoryRows.forEach(row => targetKeys.add(key(row.newURL)));
+      fs.writeSync(partialFds.categories, categoryRows.map(partialLine).join(''));
+      stats.categories += batch.categoryMappings.length;
+
+      batch.unmapped.forEach(row => {
+        reports.unmapped.write(row);
+        reports.run.addUnmapped(row);
+      });
+      stats.unmapped += batch.unmapped.length;
+      keepSample(samples.unmapped, batch.unmapped, config);
+      recordLoops(batch.loopDetected);
+    };
+
+    if (oldUrlsFile) {
+      await readEntriesInBatches(oldUrlsFile, config.oldColumns, config, log, (entries, { bytesRead, totalBytes }) => {
+        recordBatch(mapper.mapBatch(withDetails(entries)));
+        if (performance.now() - lastReport >= PROGRESS_INTERVAL_MS) {
+          reportProgress(bytesRead, totalBytes);
+        }
+      });
+    }
+    // URLs only found in the access logs
+    if (traffic) {
+      const logOnly = traffic.rest();
+      for (let start = 0; start < logOnly.length; start += config.batchSize) {
+        const batch = logOnly.slice(start, start + config.batchSize);
+        recordBatch(mapper.mapBatch(snapshots ? snapshots.attach(batch) : batch));
       }
-      continue;
     }
-    
-    // For products without SKU match, try name-based matching
-    const productName = extractProductName(oldProduct.url);
-    if (!productName) {
-      unmapped.push(oldProduct.url);
-      continue;
+    // Old categories without a mapping, matched now that their products have been
+    recordBatch(mapper.matchCategories());
+    reportProgress(1, 1);
+    fs.closeSync(partialFds.mappings);
+    fs.closeSync(partialFds.categories);
+
+    if (stats.oldUrls === 0) {
+      throw new Error("One or both input files are empty or could not be parsed correctly.");
     }
-    
-    let bestMatches = newProductIndex[productName] || [];
-    
-    if (bestMatches.length === 0) {
-      const similarities = [];
-      
-      for (const [name, products] of Object.entries(newProductIndex)) {
-        const similarity = calculateNameSimilarity(productName, name);
-        if (similarity > CONFIG.similarityThreshold) {
-          similarities.push({
-            similarity,
-            products
-          });
+
+    // Second pass: now that every target is known, add the rows chains can run through to the graph
+    log('Resolving redirect chains and writing the mapping...');
+    for (const file of [partial.mappings, partial.categories]) {
+      for await (const row of readPartialFile(file)) {
+        const rowKey = key(row.oldURL);
+        if (targetKeys.has(rowKey) || existingKeys.has(rowKey)) {
+          graph.add(row);
         }
       }
-      
-      similarities.sort((a, b) => b.similarity - a.similarity);
-      
-      if (similarities.length > 0) {
-        bestMatches = similarities[0].products;
+    }
+
+    // Third pass: point each row at its final destination; product redirects also go to a temporary file,
+    // counted per target, for the fan-in report
+    const output = new CSVFileWriter(path.resolve(config.outputFile), MAPPING_HEADER);
+    const fanInSpool = new CSVFileWriter(path.join(tempDir, 'fan-in.csv'), ['old_url', 'new_url', 'match_type']);
+    const fanInCounts = new Map();
+    const writeRedirect = row => {
+      if (!mapper.isFallbackOrCategory(row)) {
+        fanInSpool.write([row.oldURL, row.newURL, row.matchType]);
+        fanInCounts.set(key(row.newURL), (fanInCounts.get(key(row.newURL)) || 0) + 1);
+      }
+      const redirect = mapper.normalizeRedirect(row);
+      output.write(mappingFields(redirect));
+      reports.run.addRedirect(redirect);
+    };
+
+    for (const file of [partial.mappings, partial.categories]) {
+      for await (const partialRow of readPartialFile(file)) {
+        const row = graph.resolve(partialRow);
+        if (row) {
+          writeRedirect(row);
+        }
       }
     }
-    
-    if (bestMatches.length > 0) {
-      const bestMatch = bestMatches[0];
-      
-      // Check for potential redirect loops
-      if (areUrlsEffectivelySame(oldProduct.url, bestMatch.url)) {
-        loopDetected.push({
-          oldURL: oldProduct.url,
-          newURL: bestMatch.url,
-          reason: 'identical_product',
-          oldName: productName,
-          newName: extractProductName(bestMatch.url)
-        });
-        continue;
+    graph.extendedRedirects().forEach(writeRedirect);
+    output.close();
+    fanInSpool.close();
+    recordLoops(graph.cycles);
+
+    // Only the rows of targets at the fan-in threshold are read back
+    const fanInRows = [];
+    for await (const [oldURL, newURL, matchType] of readSpoolFile(fanInSpool.file)) {
+      if (fanInCounts.get(key(newURL)) >= config.fanInThreshold) {
+        fanInRows.push({ oldURL, newURL, matchType });
       }
-      
-      const similarity = calculateNameSimilarity(productName, extractProductName(bestMatch.url));
-      
-      let matchType;
-      if (similarity === 1.0) {
-        matchType = 'exact_match';
-      } else if (similarity >= CONFIG.highConfidenceThreshold) {
-        matchType = 'high_confidence_match';
-      } else if (similarity >= CONFIG.mediumConfidenceThreshold) {
-        matchType = 'medium_confidence_match';
-      } else {
-        matchType = 'low_confidence_match';
+    }
+    fanIn = findFanIn(fanInRows, { minimum: config.fanInThreshold, key });
+
+    // Entries with the same SKU share a file; duplicates are listed by where their SKU first appeared
+    const oldDuplicates = [];
+    for (const spool of skuSpools) {
+      if (spool.close() > 0) {
+        const entries = [];
+        for await (const [position, sku, url] of readSpoolFile(spool.file)) {
+          entries.push({ position: Number(position), sku, url });
+        }
+        oldDuplicates.push(...mapper.duplicateOldSkus(entries));
       }
-      
-      mapping.push({
-        oldURL: oldProduct.url,
-        newURL: bestMatch.url,
-        oldName: productName,
-        newName: extractProductName(bestMatch.url),
-        matchType,
-        similarity: similarity.toFixed(2)
+    }
+    oldDuplicates.sort((a, b) => a.entries[0].position - b.entries[0].position);
+    duplicateSkus = [...oldDuplicates, ...mapper.duplicateNewSkus()];
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  return {
+    stats: {
+      ...stats,
+      cycles: graph.cycles.length,
+      flattened: graph.flattened,
+      ...mapper.indexStats(),
+      totalMs: performance.now() - runStarted
+    },
+    fanIn,
+    duplicateSkus,
+    samples
+  };
+}
+
+// Print the summary of a run: warnings, counts, timing, match types and samples
+function printSummary({ stats, fanIn, duplicateSkus, samples }, config, runStarted) {
+  if (stats.missingAliases.length > 0) {
+    console.warn(`Warning: ${stats.missingAliases.length} SKU aliases point at SKUs not on the new site`);
+    stats.missingAliases.slice(0, config.sampleSize).forEach(({ oldSku, newSku }) => console.warn(`- ${oldSku} -> ${newSku}`));
+  }
+  if (duplicateSkus.length > 0) {
+    console.warn(`Warning: ${duplicateSkus.length} SKUs are used by more than one URL (the first new URL listed is used)`);
+  }
+
+  console.log(`\nFinal results:`);
+  console.log(`Successfully mapped ${stats.mapped} product URLs`);
+  console.log(`Unable to map ${stats.unmapped} URLs`);
+  if (stats.fallbacks > 0) {
+    console.log(`Sent ${stats.fallbacks} URLs without a match to fallback targets`);
+  }
+  console.log(`Found ${stats.categories} category URLs`);
+  console.log(`Detected ${stats.loops} potential redirect loops (skipped)`);
+  if (stats.cycles > 0) {
+    console.log(`- ${stats.cycles} of them are cycles across several redirects`);
+  }
+  if (stats.flattened > 0) {
+    console.log(`Flattened ${stats.flattened} redirect chains to point at their final destination`);
+  }
+  if (config.assignment === 'one-to-one') {
+    console.log(`One-to-one assignment moved ${stats.reassigned} name matches to distinct new URLs`);
+  }
+  if (fanIn.length > 0) {
+    console.log(`${fanIn.length} new URLs receive ${config.fanInThreshold} or more redirects`);
+  }
+
+  // Timing
+  const { nameSearches, comparisons, nameMatchMs, indexMs } = stats;
+  console.log("\nTiming:");
+  console.log(`- Total: ${((performance.now() - runStarted) / 1000).toFixed(2)}s`);
+  console.log(`- Candidate index: ${Math.round(indexMs)}ms`);
+  console.log(`- Name matching (${config.candidateRetrieval}): ${Math.round(nameMatchMs)}ms for ${nameSearches} searches, ` +
+    `${comparisons} comparisons (${nameSearches ? Math.round(comparisons / nameSearches) : 0} per search)`);
+
+  if (Object.keys(stats.patternRules).length > 0) {
+    console.log("\nPattern rules:");
+    Object.entries(stats.patternRules).forEach(([name, { applied, missingTarget }]) => {
+      console.log(`- ${name}: ${applied} URLs rewritten${missingTarget ? `, ${missingTarget} rewritten URLs not on the new site` : ''}`);
+    });
+  }
+
+  const mappedRows = stats.mapped + stats.fallbacks;
+  console.log("\nMatch type distribution:");
+  Object.entries(stats.matchTypes)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([type, count]) => {
+      console.log(`- ${type}: ${count} (${Math.round(count/mappedRows*100)}%)`);
+    });
+
+  // Sample results
+  if (config.showSamples) {
+    console.log("\nSample of mapped URLs:");
+    samples.mappings.slice(0, config.sampleSize).forEach(({ oldURL, newURL, oldName, newName, matchType, similarity, sku }) => {
+      console.log(`- ${oldURL} → ${newURL}`);
+      console.log(`  Product: "${oldName}" → "${newName}"`);
+      console.log(`  Match type: ${matchType}, Similarity: ${similarity}${sku ? `, SKU: ${sku}` : ''}`);
+    });
+
+    if (fanIn.length > 0) {
+      console.log("\nNew URLs receiving the most redirects:");
+      fanIn.slice(0, config.sampleSize).forEach(({ newURL, rows }) => {
+        console.log(`- ${newURL}: ${rows.length} redirects`);
+      });
+    }
+
+    console.log("\nSample of unmapped URLs:");
+    samples.unmapped.slice(0, config.sampleSize).forEach(({ oldURL, reason }) => console.log(`- ${oldURL} (${reason})`));
+    
+    // Sample of detected loops
+    if (samples.loops.length > 0) {
+      console.log("\nSample of detected redirect loops (skipped):");
+      samples.loops.slice(0, config.sampleSize).forEach(loop => {
+        console.log(`- ${loop.path ? loop.path.join(' → ') : `${loop.oldURL} → ${loop.newURL}`}`);
+        console.log(`  Reason: ${loop.reason}`);
       });
-    } else {
-      unmapped.push(oldProduct.url);
     }
   }
-  
-  return { mapping, unmapped, categoryMappings, loopDetected };
 }
 
-// Main function to generate URL mapping
-async function generateURLMapping() {
+// Main function to generate URL mapping: read the input files, map, report and write the results
+// Returns the mapper's result plus the diff with the previous mapping and the lint against the existing redirects
+// (each or null); with streaming, only { stats, fanIn, duplicateSkus, diff, lint } since the rows and loops went
+// straight to the output files
+async function generateURLMapping(options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+  const log = createLogger(config);
+  const runStarted = performance.now();
+
   console.log("Generating URL mapping with SKU matching and loop detection...");
   console.log("Using configuration:");
-  console.log(`- Old URLs file: ${CONFIG.oldUrlsFile}`);
-  console.log(`- New URLs file: ${CONFIG.newUrlsFile}`);
-  console.log(`- Output file: ${CONFIG.outputFile}`);
-  console.log(`- New site base URL: ${CONFIG.newSiteBaseUrl}`);
-  console.log(`- Similarity threshold: ${CONFIG.similarityThreshold}`);
-  console.log(`- Batch size: ${CONFIG.batchSize}`);
+  console.log(`- Old URLs file: ${config.oldUrlsFile || '(none)'}`);
+  if (config.accessLogFiles.length > 0) {
+    console.log(`- Access logs: ${config.accessLogFiles.join(', ')}`);
+  }
+  console.log(`- New URLs file: ${config.newUrlsFile}`);
+  if (config.oldSnapshotDir || config.newSnapshotDir) {
+    console.log(`- Saved pages: ${config.oldSnapshotDir || '(none)'} (old), ${config.newSnapshotDir || '(none)'} (new)`);
+  }
+  console.log(`- Output file: ${config.outputFile}`);
+  console.log(`- New site base URL: ${config.newSiteBaseUrl || '(not set; targets from settings stay relative)'}`);
+  if (Object.keys(config.hostMappings).length > 0) {
+    console.log(`- Host mappings: ${Object.entries(config.hostMappings).map(([host, base]) => `${host} -> ${base}`).join(', ')}`);
+  }
+  console.log(`- Similarity threshold: ${config.similarityThreshold}`);
+  console.log(`- Batch size: ${config.batchSize}${config.streaming ? ' (streaming)' : ''}`);
 
-  try {
-    // Get the directory of the current script
-    const scriptDir = __dirname;
-    
-    // Local CSV file paths
-    const oldUrlsFile = path.join(scriptDir, CONFIG.oldUrlsFile);
-    const newUrlsFile = path.join(scriptDir, CONFIG.newUrlsFile);
-    
-    log(`Looking for CSV files in: ${scriptDir}`);
-    
-    // Check if files exist
-    if (!fs.existsSync(oldUrlsFile)) {
-      console.error(`Error: File not found: ${oldUrlsFile}`);
-      console.error(`Please make sure ${CONFIG.oldUrlsFile} is in the same directory as this script.`);
-      return;
-    }
-    
-    if (!fs.existsSync(newUrlsFile)) {
-      console.error(`Error: File not found: ${newUrlsFile}`);
-      console.error(`Please make sure ${CONFIG.newUrlsFile} is in the same directory as this script.`);
-      return;
+  // Input and output paths are relative to the working directory (or to the config file that set them)
+  const oldUrlsFile = config.oldUrlsFile ? path.resolve(config.oldUrlsFile) : '';
+  const newUrlsFile = path.resolve(config.newUrlsFile);
+  const accessLogFiles = config.accessLogFiles.map(file => path.resolve(file));
+
+  if (!oldUrlsFile && accessLogFiles.length === 0) {
+    throw new ConfigError('set "oldUrlsFile" or "accessLogFiles" to say where the old URLs come from');
+  }
+  if (config.streaming && isSitemapFile(oldUrlsFile)) {
+    throw new ConfigError('streaming needs the old URLs as a CSV file, not a sitemap');
+  }
+  if (config.streaming && config.assignment === 'one-to-one') {
+    throw new ConfigError('streaming cannot be combined with one-to-one assignment, which compares all name matches at once');
+  }
+
+  // Check if files exist
+  if (oldUrlsFile && !fs.existsSync(oldUrlsFile)) {
+    throw new Error(`Old URLs file not found: ${oldUrlsFile} (set it with --old or "oldUrlsFile")`);
+  }
+  for (const file of accessLogFiles) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Access log not found: ${file}`);
     }
-    
-    // Fetch URLs with SKUs
-    const oldURLs = await fetchCSV(oldUrlsFile);
-    const newURLs = await fetchCSV(newUrlsFile);
+  }
+  
+  if (!fs.existsSync(newUrlsFile)) {
+    throw new Error(`New URLs file not found: ${newUrlsFile} (set it with --new or "newUrlsFile")`);
+  }
 
-    console.log(`Processing ${oldURLs.length} old URLs and ${newURLs.length} new URLs`);
-    
-    if (oldURLs.length === 0 || newURLs.length === 0) {
-      console.error("Error: One or both CSV files are empty or could not be parsed correctly.");
-      return;
+  // Saved HTML of the old and new pages, read for content matching
+  const [oldSnapshots, newSnapshots] = [config.oldSnapshotDir, config.newSnapshotDir].map(dir => {
+    if (!dir) return null;
+    if (!fs.existsSync(path.resolve(dir))) {
+      throw new Error(`Saved pages folder not found: ${path.resolve(dir)}`);
     }
+    return new SnapshotReader(dir);
+  });
+  
+  const mapper = createMapper(config, { log });
 
-    // Create SKU index for direct matching
-    const skuIndex = {};
-    newURLs.forEach(entry => {
-      if (entry.sku) {
-        skuIndex[entry.sku] = entry;
-      }
-    });
-    
-    log(`Created SKU index with ${Object.keys(skuIndex).length} entries`);
-
-    // Create product name index for fallback matching
-    const newProductIndex = {};
-    newURLs.forEach(entry => {
-      const productName = extractProductName(entry.url);
-      if (productName) {
-        if (!newProductIndex[productName]) {
-          newProductIndex[productName] = [];
-        }
-        newProductIndex[productName].push(entry);
-      }
+  // Old URLs visitors still reach, aggregated from the access logs
+  let accessLog = null;
+  if (accessLogFiles.length > 0) {
+    accessLog = await readAccessLogs(accessLogFiles, {
+      key: url => mapper.key(url),
+      ignoreUserAgents: config.accessLogIgnoreUserAgents,
+      ignoreExtensions: config.accessLogIgnoreExtensions,
+      ignorePaths: config.accessLogIgnorePaths
     });
-    
-    log(`Created product name index with ${Object.keys(newProductIndex).length} entries`);
+    const { stats } = accessLog;
+    console.log(`Read ${stats.lines} lines from ${accessLogFiles.length} access logs: ${accessLog.entries.length} old URLs with ${stats.requests} page requests`);
+    log(`- Left out: ${stats.bots} bot requests, ${stats.assets} asset requests, ${stats.otherMethods} other methods, ` +
+      `${stats.unparsed} unreadable lines`);
+  }
+  const traffic = accessLog ? createTrafficLookup(accessLog, url => mapper.key(url), config, log) : null;
 
-    // Process in batches
-    const batchSize = CONFIG.batchSize;
-    const totalBatches = Math.ceil(oldURLs.length / batchSize);
-    
-    let allMappings = [];
-    let allUnmapped = [];
-    let allCategoryMappings = [];
-    let allLoopDetected = []; // Track all potential redirect loops
-    
-    for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
-      log(`\nProcessing batch ${batchNum + 1} of ${totalBatches}...`);
-      
-      const startIndex = batchNum * batchSize;
-      const endIndex = Math.min((batchNum + 1) * batchSize, oldURLs.length);
-      const batchURLs = oldURLs.slice(startIndex, endIndex);
-      
-      const { mapping, unmapped, categoryMappings, loopDetected } = processBatch(batchURLs, newProductIndex, skuIndex);
-      
-      log(`Batch ${batchNum + 1} results:`);
-      log(`- Mapped: ${mapping.length} URLs`);
-      log(`- Unmapped: ${unmapped.length} URLs`);
-      log(`- Categories: ${categoryMappings.length} URLs`);
-      log(`- Potential loops: ${loopDetected.length} URLs`);
-      
-      allMappings = allMappings.concat(mapping);
-      allUnmapped = allUnmapped.concat(unmapped);
-      allCategoryMappings = allCategoryMappings.concat(categoryMappings);
-      allLoopDetected = allLoopDetected.concat(loopDetected);
+  // Fetch URLs with SKUs; when streaming, the old URLs are read batch by batch later
+  let oldURLs = null;
+  if (!config.streaming) {
+    oldURLs = oldUrlsFile ? await fetchEntries(oldUrlsFile, config.oldColumns, config, log) : [];
+    if (traffic) {
+      oldURLs = traffic.take(oldURLs).concat(traffic.rest());
     }
+    if (oldSnapshots) {
+      oldURLs = oldSnapshots.attach(oldURLs);
+    }
+  }
+  let newURLs = await fetchEntries(newUrlsFile, config.newColumns, config, log);
+  if (newSnapshots) {
+    newURLs = newSnapshots.attach(newURLs);
+  }
+
+  if (config.streaming) {
+    const sources = [config.oldUrlsFile, accessLog && 'the access logs'].filter(Boolean).join(' and ');
+    console.log(`Processing ${sources} in batches of ${config.batchSize} against ${newURLs.length} new URLs`);
+  } else {
+    console.log(`Processing ${oldURLs.length} old URLs and ${newURLs.length} new URLs`);
+  }
+  
+  if ((oldURLs && oldURLs.length === 0) || newURLs.length === 0) {
+    throw new Error("One or both input files are empty or could not be parsed correctly.");
+  }
+
+  // Redirects already live on the site, so chains through them can be flattened
+  const existingRedirects = config.existingRedirectsFile ? readExistingRedirects(config, log) : [];
+
+  // The previous run's mapping and loops, read now because this run may overwrite them
+  let previous = null;
+  if (config.previousMappingFile) {
+    previous = {
+      rows: readMappingFile(path.resolve(config.previousMappingFile)),
+      loops: config.previousLoopsFile ? readMappingFile(path.resolve(config.previousLoopsFile)) : []
+    };
+    log(`Loaded ${previous.rows.length} previous redirects from ${config.previousMappingFile}`);
+  }
 
-    console.log(`\nFinal results:`);
-    console.log(`Successfully mapped ${allMappings.length} product URLs`);
-    console.log(`Unable to map ${allUnmapped.length} product URLs`);
-    console.log(`Found ${allCategoryMappings.length} category URLs`);
-    console.log(`Detected ${allLoopDetected.length} potential redirect loops (skipped)`);
+  // Decisions made by hand (or in "url-mapper review"), applied before any matching
+  const overrides = config.overridesFile ? readOverrides(path.resolve(config.overridesFile)) : [];
+  if (overrides.length > 0) {
+    log(`Loaded ${overrides.length} manual overrides from ${config.overridesFile}`);
+  }
+
+  const skuAliases = config.skuAliasFile ? readSkuAliases(path.resolve(config.skuAliasFile)) : [];
+  if (skuAliases.length > 0) {
+    log(`Loaded ${skuAliases.length} SKU aliases from ${config.skuAliasFile}`);
+  }
+
+  const data = { overrides, existingRedirects, skuAliases };
+  const outputFile = path.resolve(config.outputFile);
+  const reports = {
+    loops: openReport('loops', config),
+    unmapped: openReport('unmapped', config),
+    run: new RunReport({
+      key: url => mapper.key(url),
+      lowConfidenceBelow: config.mediumConfidenceThreshold,
+      limit: config.streaming ? config.streamingReportRows : Infinity
+    })
+  };
 
-    // Count match types
-    const matchTypeCounts = {};
-    allMappings.forEach(({ matchType }) => {
-      matchTypeCounts[matchType] = (matchTypeCounts[matchType] || 0) + 1;
+  let result;
+  if (config.streaming) {
+    result = await streamMapping(mapper, oldUrlsFile, newURLs, data, { traffic, snapshots: oldSnapshots }, reports, config, log);
+    printSummary(result, config, runStarted);
+  } else {
+    result = mapper.map(oldURLs, newURLs, data);
+    printSummary({ ...result, samples: result }, config, runStarted);
+    writeMappingFile(outputFile, result.redirects);
+    result.redirects.forEach(row => reports.run.addRedirect(row));
+    result.loops.forEach(loop => {
+      reports.loops.write(loop);
+      reports.run.addLoop(loop);
     });
+    result.unmapped.forEach(row => {
+      reports.unmapped.write(row);
+      reports.run.addUnmapped(row);
+    });
+  }
+  [['old', oldSnapshots], ['new', newSnapshots]].filter(([, snapshots]) => snapshots).forEach(([side, snapshots]) => {
+    console.log(`Found saved pages for ${snapshots.found} of ${snapshots.found + snapshots.missing} ${side} URLs in ${snapshots.dir}`);
+  });
+  const { fanIn, duplicateSkus } = result;
+  console.log(`\nComplete CSV file has been saved as: ${outputFile}`);
 
-    console.log("\nMatch type distribution:");
-    Object.entries(matchTypeCounts)
-      .sort((a, b) => b[1] - a[1])
-      .forEach(([type, count]) => {
-        console.log(`- ${type}: ${count} (${Math.round(count/allMappings.length*100)}%)`);
-      });
+  // After streaming, the redirects and loops are read back from their files for the exports and the diff
+  const redirects = () => result.redirects || readMappingFile(outputFile);
+  const loops = () => result.loops || (result.stats.loops > 0 ? readLoopsFile(path.resolve(config.loopsFile)) : []);
+  
+  // Write deploy-ready redirect rules for each requested format
+  if (config.exportFormats.length > 0) {
+    console.log('');
+    exportRedirects(redirects(), config);
+  }
+  
+  reports.loops.close();
+  reports.unmapped.close();
 
-    // Sample results
-    if (CONFIG.showSamples) {
-      console.log("\nSample of mapped URLs:");
-      allMappings.slice(0, CONFIG.sampleSize).forEach(({ oldURL, newURL, oldName, newName, matchType, similarity, sku }) => {
-        console.log(`- ${oldURL} → ${newURL}`);
-        console.log(`  Product: "${oldName}" → "${newName}"`);
-        console.log(`  Match type: ${matchType}, Similarity: ${similarity}${sku ? `, SKU: ${sku}` : ''}`);
-      });
+  // Save duplicate SKUs and the new URLs receiving many redirects for review
+  const duplicatesReport = openReport('duplicateSkus', config);
+  duplicateSkus.forEach(duplicate => duplicatesReport.write(duplicate));
+  duplicatesReport.close();
 
-      console.log("\nSample of unmapped URLs:");
-      allUnmapped.slice(0, CONFIG.sampleSize).forEach(url => console.log(`- ${url}`));
-      
-      // Sample of detected loops
-      if (allLoopDetected.length > 0) {
-        console.log("\nSample of detected redirect loops (skipped):");
-        allLoopDetected.slice(0, CONFIG.sampleSize).forEach(loop => {
-          console.log(`- ${loop.oldURL} → ${loop.newURL}`);
-          console.log(`  Reason: ${loop.reason}`);
-        });
-      }
-    }
+  const fanInReport = openReport('fanIn', config);
+  fanIn.forEach(target => fanInReport.write(target));
+  fanInReport.close();
 
-    // Save complete results to CSV file
-    let fullCsvContent = "old_url,new_url,old_name,new_name,match_type,similarity,sku\n";
-    
-    // Add all product mappings
-    allMappings.forEach(({ oldURL, newURL, oldName, newName, matchType, similarity, sku }) => {
-      fullCsvContent += `"${oldURL}","${newURL}","${oldName}","${newName}","${matchType}","${similarity}","${sku || ''}"\n`;
+  // Save what the access logs showed for each old URL found in them
+  if (accessLog && config.accessLogReportFile) {
+    const accessLogReport = openReport('accessLog', config);
+    accessLog.entries.forEach(entry => accessLogReport.write(entry));
+    accessLogReport.close();
+  }
+
+  // Compare with the previous run
+  let diff = null;
+  if (previous) {
+    diff = diffMappings(previous.rows, redirects(), {
+      key: url => mapper.key(url),
+      previousLoops: previous.loops,
+      currentLoops: loops(),
+      approvedMatchTypes: config.approvedMatchTypes
     });
-    
-    // Add all category redirects
-    allCategoryMappings.forEach(mapping => {
-      if (mapping.newURL) {
-        fullCsvContent += `"${mapping.oldURL}","${mapping.newURL}","","","${mapping.matchType}","${mapping.similarity}",""\n`;
-      }
+
+    console.log(`\nChanges since ${config.previousMappingFile}:`);
+    Object.entries(diff.counts).forEach(([change, count]) => {
+      console.log(`- ${change.replace(/_/g, ' ')}: ${count}`);
     });
-    
-    // Write to file
-    const outputFile = path.join(scriptDir, CONFIG.outputFile);
-    fs.writeFileSync(outputFile, fullCsvContent);
-    console.log(`\nComplete CSV file has been saved as: ${outputFile}`);
-    
-    // Save detected loops to a separate CSV file
-    if (allLoopDetected.length > 0) {
-      let loopsCsvContent = "old_url,new_url,reason,old_name,new_name,sku\n";
-      
-      allLoopDetected.forEach(({ oldURL, newURL, reason, oldName, newName, sku }) => {
-        loopsCsvContent += `"${oldURL}","${newURL}","${reason}","${oldName || ''}","${newName || ''}","${sku || ''}"\n`;
+    if (diff.approvedChanges > 0) {
+      console.log(`- ${diff.approvedChanges} of them change approved redirects (${config.approvedMatchTypes.join(', ')})`);
+    }
+
+    if (config.showSamples) {
+      diff.changes.filter(row => row.approved).slice(0, config.sampleSize).forEach(row => {
+        console.log(`  ${row.change}: ${row.oldURL} was ${row.previousURL} (${row.previousMatchType}), ` +
+          `now ${row.newURL || 'no redirect'}${row.matchType ? ` (${row.matchType})` : ''}`);
       });
-      
-      const loopsFile = path.join(scriptDir, CONFIG.loopsFile);
-      fs.writeFileSync(loopsFile, loopsCsvContent);
-      console.log(`\nPotential redirect loops have been saved as: ${loopsFile}`);
     }
 
-    console.log("\nURL mapping complete!");
+    const diffReport = openReport('diff', config);
+    diff.changes.forEach(row => diffReport.write(row));
+    diffReport.close();
+  }
+
+  // Check the mapping against the redirects already live and merge both
+  let lint = null;
+  if (config.existingRedirectsFile) {
+    lint = lintAndSave(existingRedirects, redirects(), outputFile, mapper.newURLs.map(entry => entry.url), url => mapper.key(url), config);
+  }
+
+  // Save the run report, to attach to a sign-off and to compare runs
+  if (config.summaryFile || config.reportFile) {
+    const summary = reports.run.summarize({
+      stats: result.stats,
+      newEntries: mapper.newURLs,
+      diff,
+      accessLog: accessLog && accessLog.stats,
+      config
+    });
+    if (config.summaryFile) {
+      const summaryFile = path.resolve(config.summaryFile);
+      fs.writeFileSync(summaryFile, `${JSON.stringify(summary, null, 2)}\n`);
+      console.log(`\nRun summary has been saved as: ${summaryFile}`);
+    }
+    if (config.reportFile) {
+      const reportFile = path.resolve(config.reportFile);
+      fs.writeFileSync(reportFile, renderReport(summary));
+      console.log(`${config.summaryFile ? '' : '\n'}Run report has been saved as: ${reportFile}`);
+    }
+  }
+
+  console.log("\nURL mapping complete!");
 
-  } catch (error) {
-    console.error("Error in URL mapping process:", error);
-    console.error(error.stack);
+  const { samples, ...summary } = result;
+  return { ...summary, diff, lint };
+}
+
+// Lint a mapping file against config.existingRedirectsFile and the new URLs without mapping again (behind
+// "url-mapper lint"); writes the conflicts report and the merged redirects
+// Returns lintRedirects()' { issues, merged, counts }
+async function lintMappingFile(mappingFile, options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+  const log = createLogger(config);
+  const newUrlsFile = path.resolve(config.newUrlsFile);
+  if (!fs.existsSync(newUrlsFile)) {
+    throw new Error(`New URLs file not found: ${newUrlsFile} (set it with --new or "newUrlsFile")`);
   }
+
+  const mapper = createMapper(config, { log });
+  const existingRedirects = readExistingRedirects(config, log);
+  const rows = readMappingFile(mappingFile);
+  const newURLs = await fetchEntries(newUrlsFile, config.newColumns, config, log);
+  console.log(`Checking ${rows.length} redirects from ${mappingFile} against ${existingRedirects.length} existing redirects and ${newURLs.length} new URLs`);
+
+  return lintAndSave(existingRedirects, rows, mappingFile, newURLs.map(entry => entry.url), url => mapper.key(url), config);
 }
 
-// Execute the main function
-generateURLMapping();
\ No newline at end of file
+module.exports = {
+  createMapper,
+  cleanProductName,
+  parsePageContent,
+  generateURLMapping,
+  lintMappingFile
+};
+
+// Run the command-line interface when executed directly
+if (require.main === module) {
+  require('./lib/cli').main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}